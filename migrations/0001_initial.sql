@@ -0,0 +1,48 @@
+-- Elegant La Vie - the original D1 schema (schema.sql, before migrations existed)
+-- The deployed database was created from that file, so here its tables are only created when
+-- missing, and its seed rows (the sample catalogue and a fixed admin) are left out: those come
+-- from `npm run db:seed`. 0002 adds everything since. Applied by `npm run db:migrate`
+-- (scripts/migrate.js), which records it in schema_migrations.
+-- Never edit a migration that has shipped; add the next numbered file instead.
+
+CREATE TABLE IF NOT EXISTS users (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  email TEXT UNIQUE NOT NULL,
+  password_hash TEXT NOT NULL,
+  role TEXT NOT NULL DEFAULT 'customer',
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS products (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  description TEXT,
+  price REAL NOT NULL,
+  image TEXT,
+  scent_mood TEXT NOT NULL,
+  scent_notes TEXT,
+  stock INTEGER DEFAULT 100,
+  featured INTEGER DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS orders (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_email TEXT NOT NULL,
+  total_amount REAL NOT NULL,
+  status TEXT DEFAULT 'pending',
+  stripe_session_id TEXT,
+  gift_message TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS order_items (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  order_id INTEGER NOT NULL,
+  product_id INTEGER NOT NULL,
+  quantity INTEGER NOT NULL,
+  price REAL NOT NULL,
+  FOREIGN KEY (order_id) REFERENCES orders(id),
+  FOREIGN KEY (product_id) REFERENCES products(id)
+);
@@ -0,0 +1,219 @@
+-- Elegant La Vie - everything the store has needed on top of the original schema.sql tables
+-- The deployed database was created from schema.sql and may have been patched by hand since, so
+-- every table, index and trigger here is IF NOT EXISTS, seed rows are INSERT OR IGNORE, and
+-- scripts/migrate.js skips an ADD COLUMN whose column is already there.
+
+-- token_version ends every session when bumped (see revokeAllSessionsStmts in src/worker.js);
+-- email_verified_at is needed before checkout
+ALTER TABLE users ADD COLUMN token_version INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN email_verified_at DATETIME;
+
+-- male | female | unisex (empty: not set); discount_percent is the product's own sale
+ALTER TABLE products ADD COLUMN gender TEXT;
+ALTER TABLE products ADD COLUMN discount_percent INTEGER DEFAULT 0;
+
+ALTER TABLE orders ADD COLUMN full_name TEXT;
+ALTER TABLE orders ADD COLUMN phone TEXT;
+ALTER TABLE orders ADD COLUMN address TEXT;
+ALTER TABLE orders ADD COLUMN payment_method TEXT;
+ALTER TABLE orders ADD COLUMN items_summary TEXT;
+-- COD risk at checkout (see calculateRiskScore in src/worker.js); risk_reasons is a JSON array
+ALTER TABLE orders ADD COLUMN risk_score INTEGER DEFAULT 0;
+ALTER TABLE orders ADD COLUMN risk_reasons TEXT;
+ALTER TABLE orders ADD COLUMN courier TEXT;
+ALTER TABLE orders ADD COLUMN tracking_number TEXT;
+
+-- Full-text index over the searchable product fields, kept in sync by the triggers below
+CREATE VIRTUAL TABLE IF NOT EXISTS products_fts USING fts5(
+  name, description, scent_notes,
+  content='products', content_rowid='id', tokenize='unicode61 remove_diacritics 2'
+);
+
+CREATE TRIGGER IF NOT EXISTS products_fts_ai AFTER INSERT ON products BEGIN
+  INSERT INTO products_fts(rowid, name, description, scent_notes) VALUES (new.id, new.name, new.description, new.scent_notes);
+END;
+CREATE TRIGGER IF NOT EXISTS products_fts_ad AFTER DELETE ON products BEGIN
+  INSERT INTO products_fts(products_fts, rowid, name, description, scent_notes) VALUES ('delete', old.id, old.name, old.description, old.scent_notes);
+END;
+CREATE TRIGGER IF NOT EXISTS products_fts_au AFTER UPDATE OF name, description, scent_notes ON products BEGIN
+  INSERT INTO products_fts(products_fts, rowid, name, description, scent_notes) VALUES ('delete', old.id, old.name, old.description, old.scent_notes);
+  INSERT INTO products_fts(rowid, name, description, scent_notes) VALUES (new.id, new.name, new.description, new.scent_notes);
+END;
+-- Index the products that are already there
+INSERT INTO products_fts(products_fts) VALUES ('rebuild');
+
+-- One row per status change (see ORDER_TRANSITIONS in src/worker.js); from_status is NULL for the
+-- row written when the order is placed
+CREATE TABLE IF NOT EXISTS order_status_history (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  order_id INTEGER NOT NULL,
+  from_status TEXT,
+  to_status TEXT NOT NULL,
+  actor_type TEXT NOT NULL CHECK (actor_type IN ('admin', 'customer', 'system')),
+  actor_id INTEGER,
+  note TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (order_id) REFERENCES orders(id)
+);
+CREATE INDEX IF NOT EXISTS idx_order_status_history_order ON order_status_history(order_id, created_at);
+
+-- Codes entered at checkout: type is percentage | fixed. 0004_discount_rules adds the date,
+-- per-customer, scope and stacking rules.
+CREATE TABLE IF NOT EXISTS discount_codes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  code TEXT UNIQUE NOT NULL,
+  type TEXT NOT NULL CHECK (type IN ('percentage', 'fixed')),
+  value REAL NOT NULL,
+  min_order_amount REAL NOT NULL DEFAULT 0,
+  usage_limit INTEGER,
+  used_count INTEGER NOT NULL DEFAULT 0,
+  active INTEGER NOT NULL DEFAULT 1,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Failed login attempts per "email:<address>" / "ip:<address>" key (see LOGIN_THROTTLE in src/worker.js)
+CREATE TABLE IF NOT EXISTS auth_throttle (
+  key TEXT PRIMARY KEY,
+  failures INTEGER NOT NULL DEFAULT 0,
+  window_start DATETIME NOT NULL,
+  locked_until DATETIME
+);
+
+-- Refresh-token sessions; only a SHA-256 of the refresh secret is stored
+CREATE TABLE IF NOT EXISTS sessions (
+  id TEXT PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  refresh_hash TEXT NOT NULL,
+  previous_hash TEXT,
+  rotated_at DATETIME,
+  expires_at DATETIME NOT NULL,
+  revoked_at DATETIME,
+  user_agent TEXT,
+  ip TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id)
+);
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+
+-- Single-use emailed tokens (purpose: password_reset | email_verify); only a SHA-256 is stored
+CREATE TABLE IF NOT EXISTS auth_tokens (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  purpose TEXT NOT NULL,
+  token_hash TEXT UNIQUE NOT NULL,
+  expires_at DATETIME NOT NULL,
+  used_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+-- Messages queued by the "outbox" mail transport (MAIL_TRANSPORT in wrangler.toml)
+CREATE TABLE IF NOT EXISTS mail_outbox (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  recipient TEXT NOT NULL,
+  subject TEXT NOT NULL,
+  body TEXT NOT NULL,
+  sent_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Signed-in carts. price_seen / name_seen are what the shopper last saw, so a cart read can
+-- report price changes and products deleted since (see cartView in src/worker.js).
+CREATE TABLE IF NOT EXISTS cart_items (
+  user_id INTEGER NOT NULL,
+  product_id INTEGER NOT NULL,
+  quantity INTEGER NOT NULL,
+  price_seen REAL NOT NULL,
+  name_seen TEXT NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, product_id),
+  FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+CREATE TABLE IF NOT EXISTS wishlist_items (
+  user_id INTEGER NOT NULL,
+  product_id INTEGER NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, product_id),
+  FOREIGN KEY (user_id) REFERENCES users(id),
+  FOREIGN KEY (product_id) REFERENCES products(id)
+);
+
+-- Scent quiz: questions and options are data so the admin can edit them (PUT /api/admin/quiz).
+-- quiz_options.weights is JSON; see the SCENT QUIZ section of src/worker.js for its keys.
+CREATE TABLE IF NOT EXISTS quiz_questions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  key TEXT UNIQUE NOT NULL,
+  title TEXT NOT NULL,
+  subtitle TEXT,
+  position INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE TABLE IF NOT EXISTS quiz_options (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  question_id INTEGER NOT NULL,
+  value TEXT NOT NULL,
+  label TEXT NOT NULL,
+  description TEXT,
+  image TEXT,
+  position INTEGER NOT NULL DEFAULT 0,
+  weights TEXT NOT NULL DEFAULT '{}',
+  UNIQUE (question_id, value),
+  FOREIGN KEY (question_id) REFERENCES quiz_questions(id)
+);
+
+-- JSON values keyed by name: weights, mood_intensity, note_intensity, mood_profiles
+CREATE TABLE IF NOT EXISTS quiz_settings (
+  key TEXT PRIMARY KEY,
+  value TEXT NOT NULL
+);
+
+-- Latest quiz result per signed-in user ("your scent profile" on account.html)
+CREATE TABLE IF NOT EXISTS quiz_profiles (
+  user_id INTEGER PRIMARY KEY,
+  answers TEXT NOT NULL,
+  profile TEXT NOT NULL,
+  matches TEXT NOT NULL,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+-- Seed scent quiz
+INSERT OR IGNORE INTO quiz_questions (key, title, subtitle, position) VALUES
+('q1', 'What is your mood today?', 'Choose what resonates with you right now', 0),
+('q2', 'When do you wear perfume?', 'Your routine reveals your soul', 1),
+('q3', 'Choose your world', 'Where do you feel most alive?', 2),
+('q4', 'Your signature element?', 'The essence that defines you', 3),
+('q5', 'Who is it for?', 'We will favour scents made for them', 4),
+('q6', 'Your budget?', 'Every bottle is a treasure — pick what feels right', 5);
+
+INSERT OR IGNORE INTO quiz_options (question_id, value, label, description, image, position, weights) VALUES
+(1, 'Mysterious', 'Mysterious', 'Dark, enigmatic, complex', 'https://images.unsplash.com/photo-1518709766631-a6a7f45921c3?w=400&q=80', 0, '{"mood":{"Mysterious":3},"notes":{"oud":2,"incense":1,"black-musk":1}}'),
+(1, 'Floral', 'Floral', 'Romantic, fresh, blooming', 'https://images.unsplash.com/photo-1490750967868-88df5691cc4f?w=400&q=80', 1, '{"mood":{"Floral":3},"notes":{"jasmine":2,"turkish-rose":1,"peony":1}}'),
+(1, 'Fresh', 'Fresh', 'Clean, crisp, invigorating', 'https://images.unsplash.com/photo-1505118380757-91f5f5632de0?w=400&q=80', 2, '{"mood":{"Fresh":3},"notes":{"bergamot":2,"citrus":1,"green-tea":1}}'),
+(1, 'Warm', 'Warm', 'Cozy, rich, sensual', 'https://images.unsplash.com/photo-1544967082-d9d25d867d66?w=400&q=80', 3, '{"mood":{"Warm":3},"notes":{"amber":2,"vanilla":1,"sandalwood":1}}'),
+(2, 'morning', 'Morning Ritual', 'Starting fresh each day', 'https://images.unsplash.com/photo-1470252649378-9c29740c9fa8?w=400&q=80', 0, '{"mood":{"Fresh":1},"intensity":1}'),
+(2, 'evening', 'Evening Elegance', 'For special occasions', 'https://images.unsplash.com/photo-1477959858617-67f85cf4f1df?w=400&q=80', 1, '{"mood":{"Mysterious":1,"Warm":1},"intensity":3}'),
+(2, 'always', 'Always', 'Fragrance is essential', 'https://images.unsplash.com/photo-1534447677768-be436bb09401?w=400&q=80', 2, '{"intensity":2}'),
+(2, 'rarely', 'Special Only', 'Rare, precious moments', 'https://images.unsplash.com/photo-1519750157634-b6d493a0f77c?w=400&q=80', 3, '{"mood":{"Mysterious":1},"intensity":3}'),
+(3, 'forest', 'Ancient Forests', 'Moss, cedar, earth', 'https://images.unsplash.com/photo-1448375240586-882707db888b?w=400&q=80', 0, '{"mood":{"Warm":1},"notes":{"cedar":2,"vetiver":1,"sandalwood":1,"patchouli":1}}'),
+(3, 'ocean', 'Open Ocean', 'Salt, freedom, horizon', 'https://images.unsplash.com/photo-1505118380757-91f5f5632de0?w=400&q=80', 1, '{"mood":{"Fresh":1},"notes":{"sea-salt":2,"bergamot":1,"citrus":1}}'),
+(3, 'garden', 'Secret Gardens', 'Roses, petals, dew', 'https://images.unsplash.com/photo-1416879595882-3373a0480b5b?w=400&q=80', 2, '{"mood":{"Floral":1},"notes":{"turkish-rose":2,"dark-rose":1,"peony":1,"white-magnolia":1}}'),
+(3, 'city', 'City Nights', 'Mystery, warmth, amber', 'https://images.unsplash.com/photo-1477959858617-67f85cf4f1df?w=400&q=80', 3, '{"mood":{"Mysterious":1},"notes":{"amber":2,"oud":1,"saffron":1}}'),
+(4, 'dark', 'Darkness', 'Depth and mystery', 'https://images.unsplash.com/photo-1518709766631-a6a7f45921c3?w=400&q=80', 0, '{"mood":{"Mysterious":2},"intensity":3}'),
+(4, 'light', 'Light', 'Joy and radiance', 'https://images.unsplash.com/photo-1500534314209-a25ddb2bd429?w=400&q=80', 1, '{"mood":{"Floral":1,"Fresh":1},"intensity":1}'),
+(4, 'earth', 'Earth', 'Grounded and warm', 'https://images.unsplash.com/photo-1500534314209-a25ddb2bd429?w=400&q=80', 2, '{"mood":{"Warm":2},"notes":{"sandalwood":1,"vetiver":1,"patchouli":1}}'),
+(4, 'air', 'Air', 'Free and fresh', 'https://images.unsplash.com/photo-1464822759023-fed622ff2c3b?w=400&q=80', 3, '{"mood":{"Fresh":2},"intensity":1}'),
+(5, 'her', 'For Her', 'Graceful and luminous', '', 0, '{"gender":"female"}'),
+(5, 'him', 'For Him', 'Bold and assured', '', 1, '{"gender":"male"}'),
+(5, 'anyone', 'For Anyone', 'Scent has no rules', '', 2, '{}'),
+(6, 'under-250', 'Under Rs. 250', 'A refined everyday luxury', '', 0, '{"budget":250}'),
+(6, 'under-350', 'Under Rs. 350', 'A signature investment', '', 1, '{"budget":350}'),
+(6, 'no-limit', 'No Limit', 'Only the rarest will do', '', 2, '{}');
+
+INSERT OR IGNORE INTO quiz_settings (key, value) VALUES
+('weights', '{"mood":35,"notes":30,"gender":15,"intensity":10,"budget":10}'),
+('mood_intensity', '{"Mysterious":3,"Warm":3,"Floral":2,"Fresh":1}'),
+('note_intensity', '{"oud":3,"black-oud":3,"incense":3,"myrrh":3,"labdanum":3,"amber":3,"patchouli":3,"benzoin":3,"saffron":3,"bergamot":1,"sea-salt":1,"citrus":1,"lemon":1,"lime":1,"grapefruit":1,"mint":1,"green-tea":1}'),
+('mood_profiles', '{"Mysterious":{"title":"The Mysterious Soul","subtitle":"Dark, deep, and endlessly alluring — your fragrance should match your magnetic aura"},"Floral":{"title":"The Floral Spirit","subtitle":"Romantic and radiant — you bloom in every room you enter"},"Fresh":{"title":"The Free Spirit","subtitle":"Crisp, clean, and full of life — your scent should feel like a breath of fresh ocean air"},"Warm":{"title":"The Warm Heart","subtitle":"Rich, cozy, and deeply sensual — your fragrance wraps others in luxurious warmth"}}');
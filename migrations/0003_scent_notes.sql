@@ -0,0 +1,49 @@
+-- Elegant La Vie - split products.scent_notes into notes / product_notes
+-- Safe to run again: already-linked notes are left alone, so scripts/seed.js re-runs it after
+-- loading the sample catalogue.
+--
+-- Tiers follow the same rule as parseScentNotes() in src/worker.js: the first note is the
+-- top note, the last is the base note, everything in between is heart (a single note is heart).
+
+CREATE TABLE IF NOT EXISTS notes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  slug TEXT UNIQUE NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS product_notes (
+  product_id INTEGER NOT NULL,
+  note_id INTEGER NOT NULL,
+  tier TEXT NOT NULL CHECK (tier IN ('top', 'heart', 'base')),
+  position INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (product_id, note_id),
+  FOREIGN KEY (product_id) REFERENCES products(id),
+  FOREIGN KEY (note_id) REFERENCES notes(id)
+);
+CREATE INDEX IF NOT EXISTS idx_product_notes_note ON product_notes(note_id);
+
+WITH RECURSIVE split(product_id, note, rest, position) AS (
+  SELECT id, NULL, COALESCE(scent_notes, '') || ',', -1 FROM products
+  UNION ALL
+  SELECT product_id, TRIM(SUBSTR(rest, 1, INSTR(rest, ',') - 1)), SUBSTR(rest, INSTR(rest, ',') + 1), position + 1
+  FROM split WHERE rest != ''
+)
+INSERT OR IGNORE INTO notes (name, slug)
+SELECT note, LOWER(REPLACE(note, ' ', '-')) FROM split WHERE note IS NOT NULL AND note != '' GROUP BY LOWER(REPLACE(note, ' ', '-'));
+
+WITH RECURSIVE split(product_id, note, rest, position) AS (
+  SELECT id, NULL, COALESCE(scent_notes, '') || ',', -1 FROM products
+  UNION ALL
+  SELECT product_id, TRIM(SUBSTR(rest, 1, INSTR(rest, ',') - 1)), SUBSTR(rest, INSTR(rest, ',') + 1), position + 1
+  FROM split WHERE rest != ''
+),
+numbered AS (
+  SELECT product_id, note, ROW_NUMBER() OVER (PARTITION BY product_id ORDER BY position) - 1 AS position,
+         COUNT(*) OVER (PARTITION BY product_id) AS total
+  FROM split WHERE note IS NOT NULL AND note != ''
+)
+INSERT OR IGNORE INTO product_notes (product_id, note_id, tier, position)
+SELECT nb.product_id, n.id,
+       CASE WHEN nb.total = 1 THEN 'heart' WHEN nb.position = 0 THEN 'top' WHEN nb.position = nb.total - 1 THEN 'base' ELSE 'heart' END,
+       nb.position
+FROM numbered nb JOIN notes n ON n.slug = LOWER(REPLACE(nb.note, ' ', '-'));
@@ -0,0 +1,32 @@
+-- Elegant La Vie - date windows, per-customer limits, scoping and stacking for discount_codes
+-- The rules these columns express are applied by evaluateDiscount() in src/worker.js.
+
+-- Valid from / until (UTC, 'YYYY-MM-DD HH:MM:SS'); NULL means no bound
+ALTER TABLE discount_codes ADD COLUMN starts_at DATETIME;
+ALTER TABLE discount_codes ADD COLUMN ends_at DATETIME;
+-- Redemptions allowed per customer; NULL means unlimited
+ALTER TABLE discount_codes ADD COLUMN per_user_limit INTEGER;
+-- 1 = only for a customer's first (non-cancelled) order
+ALTER TABLE discount_codes ADD COLUMN first_order_only INTEGER NOT NULL DEFAULT 0;
+-- Largest amount a percentage code can take off; NULL means no cap
+ALTER TABLE discount_codes ADD COLUMN max_discount REAL;
+-- JSON { "products": [ids], "moods": [...], "genders": [...] }; NULL means the whole cart
+ALTER TABLE discount_codes ADD COLUMN scope TEXT;
+-- How the code combines with products.discount_percent: stack | exclude_sale | best_of
+ALTER TABLE discount_codes ADD COLUMN stacking TEXT NOT NULL DEFAULT 'stack';
+
+CREATE TABLE IF NOT EXISTS discount_redemptions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  discount_id INTEGER NOT NULL,
+  user_id INTEGER NOT NULL,
+  order_id INTEGER NOT NULL UNIQUE,
+  amount REAL NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (discount_id) REFERENCES discount_codes(id),
+  FOREIGN KEY (user_id) REFERENCES users(id),
+  FOREIGN KEY (order_id) REFERENCES orders(id)
+);
+CREATE INDEX IF NOT EXISTS idx_discount_redemptions_user ON discount_redemptions(discount_id, user_id);
+
+-- Orders placed with a code before this migration have no redemption rows, so per-customer
+-- limits only count redemptions from here on.
@@ -0,0 +1,51 @@
+-- Elegant La Vie - configurable COD risk rules, block/allow lists and the review decision log
+-- Rule defaults live in RISK_RULES / RISK_SETTINGS in src/worker.js; nothing needs seeding.
+
+ALTER TABLE orders ADD COLUMN device_id TEXT;
+
+CREATE TABLE IF NOT EXISTS risk_rules (
+  key TEXT PRIMARY KEY,
+  enabled INTEGER NOT NULL DEFAULT 1,
+  points INTEGER NOT NULL,
+  params TEXT NOT NULL DEFAULT '{}',
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS risk_settings (
+  key TEXT PRIMARY KEY,
+  value TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS risk_lists (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  list TEXT NOT NULL CHECK (list IN ('block', 'allow')),
+  kind TEXT NOT NULL CHECK (kind IN ('phone', 'email', 'address', 'device')),
+  value TEXT NOT NULL,
+  note TEXT,
+  created_by INTEGER,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (kind, value)
+);
+
+CREATE TABLE IF NOT EXISTS order_risk_hits (
+  order_id INTEGER NOT NULL,
+  rule TEXT NOT NULL,
+  points INTEGER NOT NULL,
+  PRIMARY KEY (order_id, rule),
+  FOREIGN KEY (order_id) REFERENCES orders(id)
+);
+
+CREATE TABLE IF NOT EXISTS risk_decisions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  order_id INTEGER NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('hold', 'approve', 'reject')),
+  actor_type TEXT NOT NULL CHECK (actor_type IN ('system', 'admin')),
+  actor_id INTEGER,
+  score INTEGER,
+  note TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (order_id) REFERENCES orders(id)
+);
+CREATE INDEX IF NOT EXISTS idx_risk_decisions_order ON risk_decisions(order_id);
+
+-- Orders placed before this have no order_risk_hits rows, so rule performance counts from here on.
@@ -0,0 +1,16 @@
+-- Elegant La Vie - product gallery images stored in the IMAGE_BUCKET R2 binding
+-- An upload gets a row with product_id NULL; saving the product form attaches it and sets its
+-- position (0 is the cover, copied to products.image). Unattached rows older than a day are
+-- orphans and are removed with their objects the next time a product is deleted.
+
+CREATE TABLE IF NOT EXISTS product_images (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  product_id INTEGER,
+  key TEXT UNIQUE NOT NULL,
+  content_type TEXT NOT NULL,
+  size INTEGER NOT NULL,
+  position INTEGER NOT NULL DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (product_id) REFERENCES products(id)
+);
+CREATE INDEX IF NOT EXISTS idx_product_images_product ON product_images(product_id, position);
@@ -0,0 +1,33 @@
+-- Elegant La Vie - verified-purchase product reviews
+-- A customer can review a product once, and only after an order containing it was delivered;
+-- order_id is that order. Reviews wait as 'pending' until an admin approves them, and 'hidden'
+-- takes one down again. Only approved reviews count towards products.rating_avg / rating_count,
+-- which the worker recomputes whenever a review changes status.
+
+CREATE TABLE IF NOT EXISTS reviews (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  product_id INTEGER NOT NULL,
+  user_id INTEGER NOT NULL,
+  order_id INTEGER NOT NULL,
+  rating INTEGER NOT NULL CHECK (rating BETWEEN 1 AND 5),
+  -- Optional 1-5 sub-scores: how long it lasts, how far it projects, and value for money
+  longevity INTEGER CHECK (longevity BETWEEN 1 AND 5),
+  sillage INTEGER CHECK (sillage BETWEEN 1 AND 5),
+  value INTEGER CHECK (value BETWEEN 1 AND 5),
+  title TEXT,
+  body TEXT,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'hidden')),
+  reply TEXT,
+  replied_at DATETIME,
+  moderated_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (product_id, user_id),
+  FOREIGN KEY (product_id) REFERENCES products(id),
+  FOREIGN KEY (user_id) REFERENCES users(id),
+  FOREIGN KEY (order_id) REFERENCES orders(id)
+);
+CREATE INDEX IF NOT EXISTS idx_reviews_product ON reviews(product_id, status, created_at);
+CREATE INDEX IF NOT EXISTS idx_reviews_status ON reviews(status, created_at);
+
+ALTER TABLE products ADD COLUMN rating_avg REAL;
+ALTER TABLE products ADD COLUMN rating_count INTEGER NOT NULL DEFAULT 0;
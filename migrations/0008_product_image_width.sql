@@ -0,0 +1,5 @@
+-- Elegant La Vie - the pixel width of each upload, read with the IMAGES binding when it is stored
+-- GET /api/images/:key?w= serves the original instead of a variant at or beyond this width, so
+-- images are never upscaled. NULL for uploads stored before this column or without the binding.
+
+ALTER TABLE product_images ADD COLUMN width INTEGER;
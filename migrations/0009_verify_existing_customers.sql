@@ -0,0 +1,6 @@
+-- Elegant La Vie - confirm the email of every account created before mail was delivered
+-- Checkout needs email_verified_at, but until the "resend" mail transport existed no verification
+-- link ever left the mail_outbox table, so no customer could have confirmed. Accounts from before
+-- this migration are treated as confirmed; new ones verify through the emailed link.
+
+UPDATE users SET email_verified_at = COALESCE(created_at, CURRENT_TIMESTAMP) WHERE email_verified_at IS NULL;
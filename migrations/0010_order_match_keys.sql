@@ -0,0 +1,16 @@
+-- Elegant La Vie - normalised phone and address keys on orders for the COD risk checks
+-- The worker writes these at checkout with phoneKey() / addressKey() from src/worker.js (phone:
+-- last 10 digits without spaces, dashes, +, brackets or dots; address: lower case without spaces,
+-- commas, dots, dashes, #, / or line breaks), so the risk rules and the review queue compare
+-- orders with plain indexed equality. Existing orders are backfilled with the same rules here.
+
+ALTER TABLE orders ADD COLUMN phone_key TEXT;
+ALTER TABLE orders ADD COLUMN address_key TEXT;
+
+UPDATE orders SET
+  phone_key = substr(replace(replace(replace(replace(replace(replace(COALESCE(phone, ''), ' ', ''), '-', ''), '+', ''), '(', ''), ')', ''), '.', ''), -10),
+  address_key = lower(replace(replace(replace(replace(replace(replace(replace(replace(replace(COALESCE(address, ''),
+    ' ', ''), ',', ''), '.', ''), '-', ''), '#', ''), '/', ''), char(10), ''), char(13), ''), char(9), ''));
+
+CREATE INDEX IF NOT EXISTS idx_orders_phone_key ON orders(phone_key, created_at);
+CREATE INDEX IF NOT EXISTS idx_orders_address_key ON orders(address_key, created_at);
@@ -0,0 +1,21 @@
+-- Elegant La Vie - serve the seeded quiz option images from the store's own bucket
+-- 0002 seeded the quiz with images.unsplash.com links. Replacement artwork now ships in
+-- seed/images/quiz/ and `npm run db:seed` uploads it to IMAGE_BUCKET under these keys. An option
+-- whose image an admin has already changed is left alone.
+
+UPDATE quiz_options SET image = '/api/images/01ea39f2-fecb-4636-bea5-77be0b5702fa.png' WHERE question_id = (SELECT id FROM quiz_questions WHERE key = 'q1') AND value = 'Mysterious' AND image = 'https://images.unsplash.com/photo-1518709766631-a6a7f45921c3?w=400&q=80';
+UPDATE quiz_options SET image = '/api/images/5f5bda6a-508a-4042-9d90-12ee458564f5.png' WHERE question_id = (SELECT id FROM quiz_questions WHERE key = 'q1') AND value = 'Floral' AND image = 'https://images.unsplash.com/photo-1490750967868-88df5691cc4f?w=400&q=80';
+UPDATE quiz_options SET image = '/api/images/06176eb8-d28f-441f-8b13-ac42c652a2b3.png' WHERE question_id = (SELECT id FROM quiz_questions WHERE key = 'q1') AND value = 'Fresh' AND image = 'https://images.unsplash.com/photo-1505118380757-91f5f5632de0?w=400&q=80';
+UPDATE quiz_options SET image = '/api/images/d2e614ec-ee2d-4e4e-b779-219e90663b69.png' WHERE question_id = (SELECT id FROM quiz_questions WHERE key = 'q1') AND value = 'Warm' AND image = 'https://images.unsplash.com/photo-1544967082-d9d25d867d66?w=400&q=80';
+UPDATE quiz_options SET image = '/api/images/56e276f1-b05c-4086-a53f-dc72fbda2855.png' WHERE question_id = (SELECT id FROM quiz_questions WHERE key = 'q2') AND value = 'morning' AND image = 'https://images.unsplash.com/photo-1470252649378-9c29740c9fa8?w=400&q=80';
+UPDATE quiz_options SET image = '/api/images/f1946950-402b-4d7a-9295-d755dffb55be.png' WHERE question_id = (SELECT id FROM quiz_questions WHERE key = 'q2') AND value = 'evening' AND image = 'https://images.unsplash.com/photo-1477959858617-67f85cf4f1df?w=400&q=80';
+UPDATE quiz_options SET image = '/api/images/b10ff39f-a891-4f05-bc8f-88d06ac5416c.png' WHERE question_id = (SELECT id FROM quiz_questions WHERE key = 'q2') AND value = 'always' AND image = 'https://images.unsplash.com/photo-1534447677768-be436bb09401?w=400&q=80';
+UPDATE quiz_options SET image = '/api/images/8523d58c-5bef-4f09-a5be-f0ffd56bb61b.png' WHERE question_id = (SELECT id FROM quiz_questions WHERE key = 'q2') AND value = 'rarely' AND image = 'https://images.unsplash.com/photo-1519750157634-b6d493a0f77c?w=400&q=80';
+UPDATE quiz_options SET image = '/api/images/d66181ca-262a-4165-8e10-b0c08fb49f57.png' WHERE question_id = (SELECT id FROM quiz_questions WHERE key = 'q3') AND value = 'forest' AND image = 'https://images.unsplash.com/photo-1448375240586-882707db888b?w=400&q=80';
+UPDATE quiz_options SET image = '/api/images/64f8b021-ca8d-4d12-a04a-4a0f18fe9c2b.png' WHERE question_id = (SELECT id FROM quiz_questions WHERE key = 'q3') AND value = 'ocean' AND image = 'https://images.unsplash.com/photo-1505118380757-91f5f5632de0?w=400&q=80';
+UPDATE quiz_options SET image = '/api/images/4c305e23-cd34-4df2-b2f8-d13659d49241.png' WHERE question_id = (SELECT id FROM quiz_questions WHERE key = 'q3') AND value = 'garden' AND image = 'https://images.unsplash.com/photo-1416879595882-3373a0480b5b?w=400&q=80';
+UPDATE quiz_options SET image = '/api/images/9bb0d8d7-1d3d-40ba-9632-71564af44873.png' WHERE question_id = (SELECT id FROM quiz_questions WHERE key = 'q3') AND value = 'city' AND image = 'https://images.unsplash.com/photo-1477959858617-67f85cf4f1df?w=400&q=80';
+UPDATE quiz_options SET image = '/api/images/21aa1f12-6f7d-4ed4-a02f-c0e35c1a5ff2.png' WHERE question_id = (SELECT id FROM quiz_questions WHERE key = 'q4') AND value = 'dark' AND image = 'https://images.unsplash.com/photo-1518709766631-a6a7f45921c3?w=400&q=80';
+UPDATE quiz_options SET image = '/api/images/478684eb-b498-4db9-89d9-ba6583374117.png' WHERE question_id = (SELECT id FROM quiz_questions WHERE key = 'q4') AND value = 'light' AND image = 'https://images.unsplash.com/photo-1500534314209-a25ddb2bd429?w=400&q=80';
+UPDATE quiz_options SET image = '/api/images/0fe2c2c2-bb45-4f2d-a6ea-6e45523c4bd3.png' WHERE question_id = (SELECT id FROM quiz_questions WHERE key = 'q4') AND value = 'earth' AND image = 'https://images.unsplash.com/photo-1500534314209-a25ddb2bd429?w=400&q=80';
+UPDATE quiz_options SET image = '/api/images/db145709-f2d9-4f8f-820e-e319d95d3e73.png' WHERE question_id = (SELECT id FROM quiz_questions WHERE key = 'q4') AND value = 'air' AND image = 'https://images.unsplash.com/photo-1464822759023-fed622ff2c3b?w=400&q=80';
@@ -0,0 +1,53 @@
+// Elegant La Vie - session helpers shared by every page that talks to the API as the signed-in user.
+// Loaded with a plain <script src="/js/auth.js"> before each page's own script; everything here is global.
+
+// Escape HTML so untrusted data (order names, addresses, product fields, reviews, etc.)
+// can never break out and run as script when inserted via innerHTML.
+function esc(str){
+  return String(str ?? '').replace(/[&<>"']/g, ch => ({
+    '&':'&amp;', '<':'&lt;', '>':'&gt;', '"':'&quot;', "'":'&#39;'
+  }[ch]));
+}
+
+const signedIn = () => !!(localStorage.getItem('elv_token') || localStorage.getItem('elv_refresh'));
+
+// ── Session: access tokens last 15 minutes. On a 401 the stored refresh token is swapped
+// for a new pair once and the request retried, so the user is not bounced to login.
+let refreshing = null;
+function refreshSession(){
+  if(!refreshing) refreshing = (async()=>{
+    const refresh_token = localStorage.getItem('elv_refresh');
+    if(!refresh_token) return false;
+    try{
+      const res = await fetch('/api/auth/refresh',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({refresh_token})});
+      if(!res.ok) return localStorage.getItem('elv_refresh') !== refresh_token; // another tab may have rotated it already
+      const data = await res.json();
+      localStorage.setItem('elv_token',data.token);
+      localStorage.setItem('elv_refresh',data.refresh_token);
+      localStorage.setItem('elv_user',JSON.stringify(data.user));
+      return true;
+    }catch{ return false; }
+  })().finally(()=>{ refreshing = null; });
+  return refreshing;
+}
+async function authFetch(url, opts={}){
+  const send = () => fetch(url, {...opts, headers:{...(opts.headers||{}), 'Authorization':'Bearer '+localStorage.getItem('elv_token')}});
+  let res = await send();
+  if(res.status===401 && await refreshSession()) res = await send();
+  return res;
+}
+
+// Ends this device's session on the server and forgets it locally.
+function clearSession(){
+  const refresh_token = localStorage.getItem('elv_refresh');
+  if(refresh_token) fetch('/api/logout',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({refresh_token}),keepalive:true}).catch(()=>{});
+  localStorage.removeItem('elv_token');
+  localStorage.removeItem('elv_refresh');
+  localStorage.removeItem('elv_user');
+  localStorage.removeItem('elv_cart'); // the server keeps it; don't leave it for the next person on this device
+}
+
+function logoutUser(){
+  clearSession();
+  window.location.href='index.html';
+}
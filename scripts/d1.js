@@ -0,0 +1,50 @@
+// Elegant La Vie - run SQL against the D1 database, and put files in the R2 image bucket, through
+// wrangler (used by migrate.js / seed.js)
+import { execFileSync } from 'node:child_process'
+import { fileURLToPath } from 'node:url'
+
+export const DATABASE = 'perfume-store'
+export const IMAGE_BUCKET = 'elegant-la-vie-images'
+const WRANGLER = fileURLToPath(new URL('../node_modules/wrangler/bin/wrangler.js', import.meta.url))
+
+// Options shared by the scripts: --remote for the deployed database, --persist-to <dir> for a
+// local database kept somewhere other than .wrangler/state (the tests use one per run).
+export const TARGET_OPTIONS = {
+  remote: { type: 'boolean', default: false },
+  'persist-to': { type: 'string' },
+}
+
+export function d1Target(values) {
+  if (values.remote && values['persist-to']) throw new Error('--remote and --persist-to cannot be combined')
+  if (values.remote) return { flags: ['--remote'], label: `${DATABASE} (remote)` }
+  const persist = values['persist-to'] ? ['--persist-to', values['persist-to']] : []
+  return { flags: ['--local', ...persist], label: `${DATABASE} (local${persist.length ? `, ${persist[1]}` : ''})` }
+}
+
+export const sqlString = v => (v === null || v === undefined ? 'NULL' : `'${String(v).replace(/'/g, "''")}'`)
+
+function wrangler(args) {
+  try {
+    return execFileSync(process.execPath, [WRANGLER, ...args], {
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'pipe'],
+      maxBuffer: 64 * 1024 * 1024,
+    })
+  } catch (err) {
+    let message = err.stderr?.trim() || err.message
+    try { message = JSON.parse(err.stdout).error?.text || message } catch {}
+    throw new Error(message)
+  }
+}
+
+// Runs one --command or --file and returns the rows of every statement's results.
+export function execute(target, { command, file }) {
+  const sql = file ? ['--file', file, '--yes'] : ['--command', command]
+  const results = JSON.parse(wrangler(['d1', 'execute', DATABASE, ...target.flags, ...sql, '--json']))
+  return (Array.isArray(results) ? results : [results]).flatMap(r => r.results || [])
+}
+
+// Uploads one file to the target's IMAGE_BUCKET (the local copy in --persist-to, or the real one).
+export function putObject(target, key, file, { contentType, cacheControl }) {
+  wrangler(['r2', 'object', 'put', `${IMAGE_BUCKET}/${key}`, ...target.flags, '--file', file, '--content-type', contentType, '--cache-control', cacheControl])
+}
@@ -0,0 +1,91 @@
+// Elegant La Vie - apply pending migrations/NNNN_name.sql files to D1, oldest first
+//
+//   npm run db:migrate                       the local database (wrangler dev)
+//   npm run db:migrate:remote                the deployed database
+//   node scripts/migrate.js --status         list applied and pending files, change nothing
+//
+// Each file is recorded in schema_migrations after it runs, so running this again only applies
+// files added since. D1 cannot wrap a file in a transaction: if one fails part-way, put the
+// database right by hand and run again. A database made from the old schema.sql migrates the
+// same way: 0001 and 0002 only create and add what it is missing.
+import { readdirSync, readFileSync, writeFileSync, mkdtempSync, rmSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { parseArgs } from 'node:util'
+import { TARGET_OPTIONS, d1Target, execute, sqlString } from './d1.js'
+
+const MIGRATIONS_DIR = fileURLToPath(new URL('../migrations/', import.meta.url))
+const FILE_NAME = /^(\d{4})_([a-z0-9_]+)\.sql$/
+// One-line `ALTER TABLE t ADD COLUMN c ...;` statements (see withoutExistingColumns)
+const ADD_COLUMN = /^ALTER TABLE (\w+) ADD COLUMN (\w+)[^;\n]*;$/gim
+
+export function listMigrations() {
+  const migrations = readdirSync(MIGRATIONS_DIR).filter(f => f.endsWith('.sql')).sort().map(file => {
+    const match = file.match(FILE_NAME)
+    if (!match) throw new Error(`${file}: migration files are named NNNN_lower_snake_name.sql`)
+    return { version: match[1], name: match[2], file }
+  })
+  migrations.forEach((m, i) => {
+    if (i && m.version === migrations[i - 1].version) throw new Error(`${migrations[i - 1].file} and ${m.file} share version ${m.version}`)
+  })
+  return migrations
+}
+
+// SQLite has no ADD COLUMN IF NOT EXISTS, so a column that a hand-patched database already has
+// is commented out of the copy that runs, the way IF NOT EXISTS guards the CREATEs.
+function withoutExistingColumns(target, sql) {
+  const tables = [...new Set([...sql.matchAll(ADD_COLUMN)].map(m => m[1]))]
+  if (!tables.length) return sql
+  const existing = new Set(execute(target, {
+    command: tables.map(t => `SELECT ${sqlString(t)} AS tbl, name FROM pragma_table_info(${sqlString(t)})`).join(' UNION ALL '),
+  }).map(r => `${r.tbl}.${r.name}`))
+  return sql.replace(ADD_COLUMN, (stmt, table, column) => existing.has(`${table}.${column}`) ? `-- already there: ${stmt}` : stmt)
+}
+
+export function migrate(target, { status = false, log = console.log } = {}) {
+  const migrations = listMigrations()
+  execute(target, { command: 'CREATE TABLE IF NOT EXISTS schema_migrations (version TEXT PRIMARY KEY, name TEXT NOT NULL, applied_at DATETIME DEFAULT CURRENT_TIMESTAMP)' })
+  const applied = new Set(execute(target, { command: 'SELECT version FROM schema_migrations' }).map(r => r.version))
+  const pending = migrations.filter(m => !applied.has(m.version))
+
+  if (status) {
+    for (const m of migrations) log(`${applied.has(m.version) ? 'applied' : 'pending'}  ${m.file}`)
+    return pending
+  }
+
+  if (!pending.length) {
+    log(`${target.label} is up to date (${migrations.at(-1)?.file ?? 'no migrations'})`)
+    return pending
+  }
+  const dir = mkdtempSync(join(tmpdir(), 'elv-migrate-'))
+  try {
+    for (const m of pending) {
+      // The bookkeeping row is the file's last statement, so a file that fails stays pending
+      const file = join(dir, m.file)
+      const sql = withoutExistingColumns(target, readFileSync(join(MIGRATIONS_DIR, m.file), 'utf8'))
+      writeFileSync(file, `${sql}\n\nINSERT INTO schema_migrations (version, name) VALUES (${sqlString(m.version)}, ${sqlString(m.name)});\n`)
+      try {
+        execute(target, { file })
+      } catch (err) {
+        throw new Error(`${m.file} failed: ${err.message}`)
+      }
+      log(`Applied ${m.file}`)
+    }
+  } finally {
+    rmSync(dir, { recursive: true, force: true })
+  }
+  return pending
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  try {
+    const { values } = parseArgs({ options: { ...TARGET_OPTIONS, status: { type: 'boolean', default: false } } })
+    const target = d1Target(values)
+    console.log(`Migrating ${target.label}`)
+    migrate(target, values)
+  } catch (err) {
+    console.error(err.message)
+    process.exit(1)
+  }
+}
@@ -0,0 +1,112 @@
+// Elegant La Vie - create the admin account from the environment, and optionally the sample
+// catalogue, on a migrated database
+//
+//   ADMIN_EMAIL=you@example.com ADMIN_PASSWORD='...' npm run db:seed
+//   ADMIN_EMAIL=... ADMIN_PASSWORD=... npm run db:seed:remote
+//   npm run db:seed -- --sample               also load seed/sample_catalogue.sql into an empty store
+//
+// The seeded quiz options and sample products show images from seed/images/, which are uploaded to
+// the IMAGE_BUCKET R2 bucket under their file names (the keys their /api/images/ paths use).
+// ADMIN_NAME is optional. An account that already has ADMIN_EMAIL is left unchanged; change its
+// password from the admin panel instead.
+import { webcrypto as crypto } from 'node:crypto'
+import { readFileSync, readdirSync } from 'node:fs'
+import { join } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { parseArgs } from 'node:util'
+import { TARGET_OPTIONS, d1Target, execute, putObject, sqlString } from './d1.js'
+
+const SAMPLE_CATALOGUE = fileURLToPath(new URL('../seed/sample_catalogue.sql', import.meta.url))
+const SCENT_NOTES = fileURLToPath(new URL('../migrations/0003_scent_notes.sql', import.meta.url))
+const SEED_IMAGES = fileURLToPath(new URL('../seed/images/', import.meta.url))
+// Same cache lifetime as IMAGE_CACHE_CONTROL in src/worker.js
+const IMAGE_CACHE_CONTROL = 'public, max-age=31536000, immutable'
+
+// Same format and iteration count as hashPassword() in src/worker.js
+const PBKDF2_ITERATIONS = 100000
+const toB64 = bytes => Buffer.from(bytes).toString('base64')
+
+export async function hashPassword(password) {
+  const salt = crypto.getRandomValues(new Uint8Array(16))
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits'])
+  const hash = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations: PBKDF2_ITERATIONS }, key, 256)
+  return `pbkdf2$v1$${PBKDF2_ITERATIONS}$${toB64(salt)}$${toB64(hash)}`
+}
+
+// The rules passwordProblems() in src/worker.js applies to the admin credentials form
+function passwordProblems(password, email) {
+  const problems = []
+  if (password.length < 10) problems.push('at least 10 characters')
+  if (!/[a-z]/.test(password) || !/[A-Z]/.test(password)) problems.push('both upper and lower case letters')
+  if (!/\d/.test(password)) problems.push('at least one number')
+  if (!/[^A-Za-z0-9]/.test(password)) problems.push('at least one symbol')
+  const local = email.split('@')[0].toLowerCase()
+  if (local.length >= 3 && password.toLowerCase().includes(local)) problems.push('not contain your email name')
+  return problems
+}
+
+// Uploads the seed/images/<set>/ files that some row of `table` still shows, so a store that
+// replaced them gets nothing it does not need. Returns them as { key, file }.
+function uploadImages(target, set, table) {
+  const dir = join(SEED_IMAGES, set)
+  const paths = readdirSync(dir).filter(f => f.endsWith('.png')).map(key => `/api/images/${key}`)
+  const used = execute(target, { command: `SELECT DISTINCT image FROM ${table} WHERE image IN (${paths.map(sqlString).join(', ')})` })
+  const images = used.map(({ image }) => {
+    const key = image.slice('/api/images/'.length)
+    return { key, file: join(dir, key) }
+  })
+  for (const { key, file } of images) {
+    putObject(target, key, file, { contentType: 'image/png', cacheControl: IMAGE_CACHE_CONTROL })
+  }
+  return images
+}
+
+export async function seed(target, { env = process.env, sample = false, images = true, log = console.log } = {}) {
+  const email = env.ADMIN_EMAIL?.trim()
+  const password = env.ADMIN_PASSWORD
+  if (!email || !password) throw new Error('Set ADMIN_EMAIL and ADMIN_PASSWORD to create the admin account')
+  if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) throw new Error('ADMIN_EMAIL is not an email address')
+  const problems = passwordProblems(password, email)
+  if (problems.length) throw new Error(`ADMIN_PASSWORD must have ${problems.join(', ')}`)
+
+  const existing = execute(target, { command: `SELECT id, role FROM users WHERE email = ${sqlString(email)}` })[0]
+  if (existing) {
+    log(`${email} already exists (${existing.role}); left unchanged`)
+  } else {
+    execute(target, {
+      command: `INSERT INTO users (name, email, password_hash, role, email_verified_at) VALUES (${sqlString(env.ADMIN_NAME?.trim() || 'Admin')}, ${sqlString(email)}, ${sqlString(await hashPassword(password))}, 'admin', CURRENT_TIMESTAMP)`,
+    })
+    log(`Created admin ${email}`)
+  }
+
+  if (images) log(`Uploaded ${uploadImages(target, 'quiz', 'quiz_options').length} quiz images`)
+
+  if (sample) {
+    execute(target, { file: SAMPLE_CATALOGUE })
+    // Link the new products' scent_notes into notes / product_notes
+    execute(target, { file: SCENT_NOTES })
+    if (images) {
+      // Give each sample cover a product_images row, as an upload would have; the width is the
+      // PNG header's (bytes 16-19)
+      const covers = uploadImages(target, 'catalogue', 'products').map(({ key, file }) => {
+        const bytes = readFileSync(file)
+        return `INSERT INTO product_images (product_id, key, content_type, size, width) SELECT id, ${sqlString(key)}, 'image/png', ${bytes.length}, ${bytes.readUInt32BE(16)} FROM products WHERE image = ${sqlString(`/api/images/${key}`)} AND NOT EXISTS (SELECT 1 FROM product_images WHERE key = ${sqlString(key)})`
+      })
+      if (covers.length) execute(target, { command: covers.join(';\n') })
+    }
+    const [{ count }] = execute(target, { command: 'SELECT COUNT(*) AS count FROM products' })
+    log(`Sample catalogue loaded (${count} products in the store)`)
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  try {
+    const { values } = parseArgs({ options: { ...TARGET_OPTIONS, sample: { type: 'boolean', default: false } } })
+    const target = d1Target(values)
+    console.log(`Seeding ${target.label}`)
+    await seed(target, values)
+  } catch (err) {
+    console.error(err.message)
+    process.exit(1)
+  }
+}
@@ -0,0 +1,18 @@
+-- Elegant La Vie - sample perfume catalogue for a new store or a local database
+-- Loaded by `npm run db:seed -- --sample`; does nothing once the products table has any rows.
+
+INSERT INTO products (name, description, price, image, scent_mood, scent_notes, featured)
+SELECT * FROM (VALUES
+  ('Noir Mystique', 'A bewitching blend of dark woods and ancient resins that awakens the senses. This enigmatic fragrance unfolds like a midnight secret.', 285.00, '/api/images/ad47c7f4-a983-46c5-a687-58d8b3ea5883.png', 'Mysterious', 'Oud, Amber, Dark Rose, Sandalwood', 1),
+  ('Velvet Obscura', 'Deep, hypnotic and unmistakably luxurious. A shadowy masterpiece that lingers like a whispered promise in candlelight.', 320.00, '/api/images/d11f85d3-1995-47dc-add0-dcbfbd423b87.png', 'Mysterious', 'Black Musk, Oud, Patchouli, Benzoin', 1),
+  ('Ombre Sacré', 'Sacred darkness distilled into liquid form. Notes of smoked incense and rare resins transport you to ancient ritual spaces.', 390.00, '/api/images/c99cec77-9dec-40c5-a9c4-54132df83d33.png', 'Mysterious', 'Incense, Myrrh, Labdanum, Black Oud', 0),
+  ('Rose Imperiale', 'The queen of florals reimagined for modern royalty. Turkish rose meets luminous jasmine in this opulent declaration of beauty.', 245.00, '/api/images/77c7a607-2459-4290-af91-cfd8c8e95392.png', 'Floral', 'Turkish Rose, Jasmine, Peony, White Musk', 1),
+  ('Jardin Céleste', 'A stroll through a celestial garden at dawn. Delicate yet complex, this fragrance captures the ephemeral beauty of flowers kissed by morning dew.', 210.00, '/api/images/bfc7041a-031a-42ea-ba1a-3b8786afc168.png', 'Floral', 'Iris, Violet, Lily of the Valley, Soft Musk', 0),
+  ('Magnolia Blanc', 'Pure, radiant, and ethereally beautiful. White magnolia blossoms captured at their peak, blended with creamy vanilla undertones.', 265.00, '/api/images/bb47c296-9606-4f1e-b5d9-d92a1fac6842.png', 'Floral', 'White Magnolia, Gardenia, Jasmine, Vanilla', 0),
+  ('Aura Marine', 'Breathe in the salt-kissed freedom of open waters. This electrifying fresh fragrance channels the energy of coastal horizons.', 195.00, '/api/images/26350cf1-a067-4900-9e30-a70c5b922b09.png', 'Fresh', 'Bergamot, Sea Salt, Citrus, Vetiver', 1),
+  ('Vert Éternel', 'Green tea and crisp forest air fused in perfect harmony. An invigorating escape to dew-covered morning gardens and ancient cedar groves.', 175.00, '/api/images/0f3285ce-3419-45d5-9c7c-7b2082d6bbb5.png', 'Fresh', 'Green Tea, Cedar, Lime, Mint, Fougere', 0),
+  ('Lumière Propre', 'Clean, bright and effortlessly sophisticated. A seamless fusion of sun-warmed citrus and crisp white woods for the modern connoisseur.', 220.00, '/api/images/5b599c79-033f-4650-8d05-afddc7e90117.png', 'Fresh', 'Lemon, Grapefruit, White Cedar, Ambrette', 0),
+  ('Ambre Royal', 'Molten gold in a bottle. Warm amber resins embrace Madagascar vanilla and spiced benzoin in this regal celebration of opulence.', 350.00, '/api/images/8c221fd3-6b92-4c95-8745-f4dab73de7c9.png', 'Warm', 'Amber, Vanilla, Benzoin, Warm Musk', 1),
+  ('Santal Doré', 'Golden sandalwood swathed in cashmere-soft musks and a kiss of warm spice. Like being wrapped in the finest silk on a winter evening.', 295.00, '/api/images/263f869d-eff4-4556-ba72-916536510c42.png', 'Warm', 'Sandalwood, Cashmere Musk, Cardamom, Honey', 0),
+  ('Orient Express', 'A journey through the spice markets of the East. Saffron and rare oud are wrapped in warm resins and vanilla in this extraordinary composition.', 420.00, '/api/images/be8d8eda-77d9-4199-ab9e-03cf3639d81d.png', 'Warm', 'Saffron, Oud, Cinnamon, Amber, Vanilla', 1)
+) WHERE NOT EXISTS (SELECT 1 FROM products);
@@ -6,21 +6,123 @@ const app = new Hono()
 
 app.use('*', cors({
   origin: ['https://elegant-la-vie.pages.dev', 'http://localhost:8788', 'http://localhost:3000'],
-  allowMethods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowHeaders: ['Content-Type', 'Authorization'],
+  allowMethods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowHeaders: ['Content-Type', 'Authorization', 'X-Device-Id'],
   credentials: true,
 }))
 
+// PASSWORDS — stored as "pbkdf2$v1$<iterations>$<salt>$<hash>" (PBKDF2-SHA256, 16-byte salt).
+// Hashes without a version prefix are the old unsalted SHA-256 format; verifyPassword still
+// accepts them and flags them for an upgrade on the next successful login.
+const PBKDF2_ITERATIONS = 100000 // Workers caps PBKDF2 at 100k iterations
+const toB64 = bytes => btoa(String.fromCharCode(...new Uint8Array(bytes)))
+const fromB64 = str => Uint8Array.from(atob(str), ch => ch.charCodeAt(0))
+
+async function pbkdf2(password, salt, iterations) {
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits'])
+  return crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256)
+}
+
+async function sha256B64(str) {
+  return toB64(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(str)))
+}
+
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) return false
+  let diff = 0
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i)
+  return diff === 0
+}
+
 async function hashPassword(password) {
-  const data = new TextEncoder().encode(password)
-  const hash = await crypto.subtle.digest('SHA-256', data)
-  return btoa(String.fromCharCode(...new Uint8Array(hash)))
+  const salt = crypto.getRandomValues(new Uint8Array(16))
+  const hash = await pbkdf2(password, salt, PBKDF2_ITERATIONS)
+  return `pbkdf2$v1$${PBKDF2_ITERATIONS}$${toB64(salt)}$${toB64(hash)}`
+}
+
+// Checked when no account matches, its hash cannot be verified here or a legacy SHA-256 hash does
+// not match, so those cost the same PBKDF2 work as a wrong password and login timing does not
+// reveal which emails are registered.
+const DUMMY_PASSWORD_HASH = `pbkdf2$v1$${PBKDF2_ITERATIONS}$${toB64(new Uint8Array(16))}$${toB64(new Uint8Array(32))}`
+
+async function verifyPassword(password, stored) {
+  if (!password) return { valid: false, needsRehash: false }
+  // No account, or bcrypt etc. from before PBKDF2, which is not verifiable here
+  if (!stored || stored.startsWith('$')) {
+    await verifyPassword(password, DUMMY_PASSWORD_HASH)
+    return { valid: false, needsRehash: false }
+  }
+  if (stored.startsWith('pbkdf2$v1$')) {
+    const [, , iterations, salt, hash] = stored.split('$')
+    const computed = toB64(await pbkdf2(password, fromB64(salt), parseInt(iterations)))
+    return { valid: timingSafeEqual(computed, hash), needsRehash: parseInt(iterations) < PBKDF2_ITERATIONS }
+  }
+  const valid = timingSafeEqual(await sha256B64(password), stored)
+  if (!valid) await verifyPassword(password, DUMMY_PASSWORD_HASH)
+  return { valid, needsRehash: true }
+}
+
+// Minimum strength for passwords set through the admin credentials form.
+function passwordProblems(password, email) {
+  const problems = []
+  if (password.length < 10) problems.push('at least 10 characters')
+  if (!/[a-z]/.test(password) || !/[A-Z]/.test(password)) problems.push('both upper and lower case letters')
+  if (!/\d/.test(password)) problems.push('at least one number')
+  if (!/[^A-Za-z0-9]/.test(password)) problems.push('at least one symbol')
+  const local = (email || '').split('@')[0].toLowerCase()
+  if (local.length >= 3 && password.toLowerCase().includes(local)) problems.push('not contain your email name')
+  return problems
 }
 
-async function createJWT(payload, secret) {
+// LOGIN THROTTLING — failed attempts are counted per email and per IP in auth_throttle.
+// Crossing maxFailures inside the window locks that key for lockMinutes. A request without
+// CF-Connecting-IP is only counted per email: a shared fallback key would let anyone lock out
+// every client that arrives without one.
+const LOGIN_THROTTLE = {
+  email: { maxFailures: 5, windowMinutes: 15, lockMinutes: 15 },
+  ip: { maxFailures: 20, windowMinutes: 15, lockMinutes: 30 },
+}
+
+function throttleKeys(c, email) {
+  const ip = c.req.header('CF-Connecting-IP')
+  return [
+    { key: `email:${(email || '').toLowerCase()}`, ...LOGIN_THROTTLE.email },
+    ...(ip ? [{ key: `ip:${ip}`, ...LOGIN_THROTTLE.ip }] : []),
+  ]
+}
+
+// Returns the number of seconds until the caller may try again, or 0 if not locked.
+async function throttleLockedFor(c, email) {
+  const keys = throttleKeys(c, email).map(k => k.key)
+  const { results } = await c.env.DB.prepare(
+    `SELECT CAST(MAX(strftime('%s', locked_until) - strftime('%s', 'now')) AS INTEGER) as wait FROM auth_throttle WHERE key IN (${keys.map(() => '?').join(', ')}) AND locked_until > datetime('now')`
+  ).bind(...keys).all()
+  return results[0]?.wait > 0 ? results[0].wait : 0
+}
+
+async function recordFailedAttempt(c, email) {
+  await c.env.DB.batch(throttleKeys(c, email).map(({ key, maxFailures, windowMinutes, lockMinutes }) => c.env.DB.prepare(`
+    INSERT INTO auth_throttle (key, failures, window_start) VALUES (?1, 1, datetime('now'))
+    ON CONFLICT(key) DO UPDATE SET
+      failures = CASE WHEN window_start < datetime('now', ?2) THEN 1 ELSE failures + 1 END,
+      window_start = CASE WHEN window_start < datetime('now', ?2) THEN datetime('now') ELSE window_start END,
+      locked_until = CASE WHEN window_start >= datetime('now', ?2) AND failures + 1 >= ?3 THEN datetime('now', ?4) ELSE locked_until END
+  `).bind(key, `-${windowMinutes} minutes`, maxFailures, `+${lockMinutes} minutes`)))
+}
+
+async function clearFailedAttempts(c, email) {
+  await c.env.DB.prepare('DELETE FROM auth_throttle WHERE key = ?').bind(throttleKeys(c, email)[0].key).run()
+}
+
+const lockedResponse = (c, wait) => {
+  c.header('Retry-After', String(wait))
+  return c.json({ error: `Too many failed attempts. Try again in ${Math.ceil(wait / 60)} minute(s).`, retry_after: wait }, 429)
+}
+
+async function createJWT(payload, secret, ttl = ACCESS_TOKEN_TTL) {
   const encode = obj => btoa(JSON.stringify(obj)).replace(/=/g,'').replace(/\+/g,'-').replace(/\//g,'_')
   const h = encode({ alg:'HS256', typ:'JWT' })
-  const p = encode({ ...payload, iat: Math.floor(Date.now()/1000), exp: Math.floor(Date.now()/1000)+86400*7 })
+  const p = encode({ ...payload, iat: Math.floor(Date.now()/1000), exp: Math.floor(Date.now()/1000)+ttl })
   const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name:'HMAC', hash:'SHA-256' }, false, ['sign'])
   const sig = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(`${h}.${p}`))
   const sigB64 = btoa(String.fromCharCode(...new Uint8Array(sig))).replace(/=/g,'').replace(/\+/g,'-').replace(/\//g,'_')
@@ -40,53 +142,235 @@ async function verifyJWT(token, secret) {
   } catch { return null }
 }
 
+// SESSIONS — access tokens are short-lived JWTs carrying the session id (sid) and the user's
+// token_version (tv). The refresh token is "<session id>.<secret>"; only a hash of the secret is
+// stored and it is replaced on every refresh. Bumping users.token_version ends every session.
+const ACCESS_TOKEN_TTL = 15 * 60
+const REFRESH_TOKEN_DAYS = 30
+const REFRESH_REUSE_GRACE_SECONDS = 60 // concurrent refreshes from two tabs are not treated as theft
+
+const randomToken = bytes => toB64(crypto.getRandomValues(new Uint8Array(bytes))).replace(/=/g,'').replace(/\+/g,'-').replace(/\//g,'_')
+const publicUser = user => ({ id: user.id, name: user.name, email: user.email, role: user.role, email_verified: !!user.email_verified_at })
+
+async function accessTokenFor(c, user, sid) {
+  return createJWT({ id: user.id, email: user.email, name: user.name, role: user.role, tv: user.token_version || 0, sid }, c.env.JWT_SECRET)
+}
+
+async function createSession(c, user) {
+  const sid = randomToken(16)
+  const secret = randomToken(32)
+  await c.env.DB.prepare(
+    "INSERT INTO sessions (id, user_id, refresh_hash, expires_at, user_agent, ip) VALUES (?, ?, ?, datetime('now', ?), ?, ?)"
+  ).bind(sid, user.id, await sha256B64(secret), `+${REFRESH_TOKEN_DAYS} days`, (c.req.header('User-Agent') || '').slice(0, 200), c.req.header('CF-Connecting-IP') || null).run()
+  return { token: await accessTokenFor(c, user, sid), refresh_token: `${sid}.${secret}`, user: publicUser(user) }
+}
+
+// Ends every session for a user: old access tokens fail the token_version check in authMiddleware.
+function revokeAllSessionsStmts(c, user_id) {
+  return [
+    c.env.DB.prepare('UPDATE users SET token_version = token_version + 1 WHERE id = ?').bind(user_id),
+    c.env.DB.prepare("UPDATE sessions SET revoked_at = datetime('now') WHERE user_id = ? AND revoked_at IS NULL").bind(user_id),
+  ]
+}
+
+// MAIL — every transport exposes send({ to, subject, text }). MAIL_TRANSPORT picks one:
+// "resend" delivers through the Resend HTTP API (RESEND_API_KEY secret, MAIL_FROM var) and records
+// the recipient, subject and sent_at in mail_outbox. The body is left empty there: it holds the
+// raw reset / verify link, and only hashes of those tokens may be stored. "outbox" (default)
+// queues the whole message in mail_outbox and "console" just logs it; those two are for local
+// development and tests.
+const queueMail = (env, { to, subject, text }) =>
+  env.DB.prepare('INSERT INTO mail_outbox (recipient, subject, body) VALUES (?, ?, ?)').bind(to, subject, text).run()
+
+const mailTransports = {
+  console: () => ({
+    async send({ to, subject, text }) { console.log(`[mail] to=${to} subject=${subject}\n${text}`) }
+  }),
+  outbox: env => ({
+    async send(message) { await queueMail(env, message) }
+  }),
+  resend: env => ({
+    async send(message) {
+      if (!env.RESEND_API_KEY || !env.MAIL_FROM) throw new Error('Server misconfigured: RESEND_API_KEY and MAIL_FROM must be set')
+      const res = await fetch('https://api.resend.com/emails', {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${env.RESEND_API_KEY}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ from: env.MAIL_FROM, to: [message.to], subject: message.subject, text: message.text }),
+      })
+      if (!res.ok) throw new Error(`Mail provider answered ${res.status}: ${await res.text()}`)
+      await env.DB.prepare("INSERT INTO mail_outbox (recipient, subject, body, sent_at) VALUES (?, ?, '', datetime('now'))").bind(message.to, message.subject).run()
+    }
+  }),
+}
+
+function getMailer(env) {
+  const transport = mailTransports[env.MAIL_TRANSPORT || 'outbox']
+  if (!transport) throw new Error(`Unknown MAIL_TRANSPORT "${env.MAIL_TRANSPORT}"`)
+  return transport(env)
+}
+
+// ONE-TIME TOKENS — emailed links for password reset and email verification. Only a hash is
+// stored; issuing a new token for the same purpose invalidates the older unused ones.
+const AUTH_TOKEN_TTL = { password_reset: '+1 hour', email_verify: '+48 hours' }
+
+async function issueAuthToken(c, user_id, purpose) {
+  const token = randomToken(32)
+  await c.env.DB.batch([
+    c.env.DB.prepare("UPDATE auth_tokens SET used_at = datetime('now') WHERE user_id = ? AND purpose = ? AND used_at IS NULL").bind(user_id, purpose),
+    c.env.DB.prepare("INSERT INTO auth_tokens (user_id, purpose, token_hash, expires_at) VALUES (?, ?, ?, datetime('now', ?))").bind(user_id, purpose, await sha256B64(token), AUTH_TOKEN_TTL[purpose]),
+  ])
+  return token
+}
+
+// Marks the token used and returns its row, or null if it is unknown, used or expired.
+async function consumeAuthToken(c, token, purpose) {
+  if (!token) return null
+  const row = await c.env.DB.prepare(
+    "UPDATE auth_tokens SET used_at = datetime('now') WHERE token_hash = ? AND purpose = ? AND used_at IS NULL AND expires_at > datetime('now') RETURNING *"
+  ).bind(await sha256B64(token), purpose).first()
+  return row || null
+}
+
+const frontendUrl = c => (c.env.FRONTEND_URL || new URL(c.req.url).origin).replace(/\/$/, '')
+
+async function sendVerificationEmail(c, user) {
+  const token = await issueAuthToken(c, user.id, 'email_verify')
+  await getMailer(c.env).send({
+    to: user.email,
+    subject: 'Confirm your email — Elegant La Vie',
+    text: `Hi ${user.name},\n\nPlease confirm your email address to start placing orders:\n${frontendUrl(c)}/login.html?verify=${token}\n\nThis link expires in 48 hours.`,
+  })
+}
+
+async function sendPasswordResetEmail(c, user) {
+  const token = await issueAuthToken(c, user.id, 'password_reset')
+  await getMailer(c.env).send({
+    to: user.email,
+    subject: 'Reset your password — Elegant La Vie',
+    text: `Hi ${user.name},\n\nSomeone asked to reset the password for this account. If it was you, choose a new one here:\n${frontendUrl(c)}/login.html?reset=${token}\n\nThis link expires in 1 hour. If you didn't ask for it, you can ignore this email.`,
+  })
+}
+
 // COD FRAUD RISK SCORING — rule-based, no external API needed.
-// Looks at phone format, past cancelled orders, address quality, name patterns,
-// order size vs history, and order frequency to flag risky COD orders for the admin.
-async function calculateRiskScore(c, { phone, address, full_name, total }) {
-  let score = 0
-  const reasons = []
+// Each rule below has a default; the admin's changes are stored in risk_rules (enabled, points,
+// params) and the thresholds and phone pattern in risk_settings. Orders scoring at or above
+// hold_threshold are placed on_hold for review. risk_lists holds blocked and allowed phones,
+// emails, addresses and devices: an allowed one skips scoring, a blocked one hits `blocklisted`.
+const RISK_RULES = [
+  { key: 'blocklisted', label: 'Phone, email, address or device is blocklisted', points: 100, params: {} },
+  { key: 'invalid_phone', label: "Phone number doesn't match the phone pattern", points: 25, params: {} },
+  { key: 'cancelled_before', label: 'Previous cancelled orders from this number (points per order)', points: 20, params: { max_points: 40 } },
+  { key: 'short_address', label: 'Address is too short / incomplete', points: 15, params: { min_length: 10 } },
+  { key: 'address_no_number', label: 'Address has no house/street number', points: 10, params: {} },
+  { key: 'fake_name', label: 'Name looks like a test/fake entry', points: 20, params: {} },
+  { key: 'high_value_first_order', label: 'First order worth several times the average order', points: 15, params: { multiplier: 3 } },
+  { key: 'phone_velocity', label: 'Another order from this number very recently', points: 20, params: { window_minutes: 10 } },
+  { key: 'duplicate_address', label: 'Same address used with other phone numbers', points: 20, params: { window_days: 30 } },
+  { key: 'device_velocity', label: 'Many orders from the same device', points: 25, params: { window_minutes: 60, max_orders: 2 } },
+]
+const RISK_SETTINGS = { hold_threshold: 50, medium_threshold: 25, phone_pattern: '^(0092|92|0)?3\\d{9}$' }
+const RISK_LIST_KINDS = ['phone', 'email', 'address', 'device']
 
-  const digits = (phone || '').replace(/\D/g, '')
-  const validPkPhone = /^(0092|92|0)?3\d{9}$/.test(digits)
-  if (!validPkPhone) { score += 25; reasons.push('Phone number format looks invalid') }
+// Phones and addresses are compared by key, so "House 1, St. 2" and "house 1 st 2" match. Each
+// order stores its keys (orders.phone_key / address_key, indexed) when it is placed; migration
+// 0010 backfilled older orders stripping exactly these characters.
+const ADDRESS_STRIP = [' ', ',', '.', '-', '#', '/', '\n', '\r', '\t']
+const PHONE_STRIP = [' ', '-', '+', '(', ')', '.']
+const strip = (value, chars) => [...String(value || '')].filter(ch => !chars.includes(ch)).join('')
+const phoneKey = phone => strip(phone, PHONE_STRIP).slice(-10)
+const addressKey = address => strip(address, ADDRESS_STRIP).replace(/[A-Z]/g, ch => ch.toLowerCase())
+const riskListKey = (kind, value) => {
+  if (kind === 'phone') return phoneKey(value)
+  if (kind === 'address') return addressKey(value)
+  if (kind === 'email') return String(value || '').trim().toLowerCase()
+  return String(value || '').trim()
+}
 
-  try {
-    const cancelled = await c.env.DB.prepare(
-      "SELECT COUNT(*) as count FROM orders WHERE phone = ? AND status = 'cancelled'"
-    ).bind(phone).first()
-    if (cancelled?.count >= 2) { score += 40; reasons.push(`${cancelled.count} previous cancelled orders from this number`) }
-    else if (cancelled?.count === 1) { score += 20; reasons.push('1 previous cancelled order from this number') }
-  } catch {}
+async function loadRiskConfig(c) {
+  const [rules, settings] = await c.env.DB.batch([
+    c.env.DB.prepare('SELECT key, enabled, points, params FROM risk_rules'),
+    c.env.DB.prepare('SELECT key, value FROM risk_settings'),
+  ])
+  const saved = new Map(rules.results.map(r => [r.key, r]))
+  return {
+    settings: { ...RISK_SETTINGS, ...Object.fromEntries(settings.results.map(r => [r.key, JSON.parse(r.value)])) },
+    rules: RISK_RULES.map(rule => {
+      const row = saved.get(rule.key)
+      return row
+        ? { ...rule, enabled: !!row.enabled, points: row.points, params: { ...rule.params, ...JSON.parse(row.params || '{}') } }
+        : { ...rule, enabled: true }
+    }),
+  }
+}
 
-  if (!address || address.trim().length < 10) { score += 15; reasons.push('Address is too short / incomplete') }
-  else if (!/\d/.test(address)) { score += 10; reasons.push('Address has no house/street number') }
+const riskLevel = (score, settings) => (score >= settings.hold_threshold ? 'high' : score >= settings.medium_threshold ? 'medium' : 'low')
 
-  const nameCheck = (full_name || '').toLowerCase()
-  if (/\btest\b|asdf|xxx|abc123/.test(nameCheck) || /(.)\1{3,}/.test(nameCheck) || nameCheck.trim().length < 3) {
-    score += 20; reasons.push('Name looks like a test/fake entry')
+// Returns { score, level, hold, reasons, hits: [{ rule, points, reason }] }.
+async function calculateRiskScore(c, { phone, address, full_name, email, total, device_id }) {
+  const { settings, rules } = await loadRiskConfig(c)
+  const rule = Object.fromEntries(rules.filter(r => r.enabled).map(r => [r.key, r]))
+  const phone_key = phoneKey(phone)
+  const address_key = addressKey(address)
+  const minutes = n => `-${Math.max(parseInt(n) || 0, 0)} minutes`
+
+  const [lists, history, average, sharedAddress, device] = await c.env.DB.batch([
+    c.env.DB.prepare(
+      "SELECT list, kind FROM risk_lists WHERE (kind = 'phone' AND value = ?) OR (kind = 'email' AND value = ?) OR (kind = 'address' AND value = ?) OR (kind = 'device' AND value = ?)"
+    ).bind(phone_key, riskListKey('email', email), address_key, device_id || ''),
+    c.env.DB.prepare(
+      `SELECT COALESCE(SUM(status = 'cancelled'), 0) AS cancelled, COALESCE(SUM(status = 'delivered'), 0) AS delivered, COALESCE(SUM(created_at >= datetime('now', ?)), 0) AS recent FROM orders WHERE phone_key = ?`
+    ).bind(minutes(rule.phone_velocity?.params.window_minutes), phone_key),
+    c.env.DB.prepare("SELECT AVG(total_amount) AS avg FROM orders WHERE status != 'cancelled'"),
+    c.env.DB.prepare(
+      "SELECT COUNT(DISTINCT phone_key) AS phones FROM orders WHERE address_key = ? AND created_at >= datetime('now', ?) AND phone_key != ?"
+    ).bind(address_key, minutes((rule.duplicate_address?.params.window_days || 0) * 24 * 60), phone_key),
+    c.env.DB.prepare("SELECT COUNT(*) AS count FROM orders WHERE device_id = ? AND created_at >= datetime('now', ?)")
+      .bind(device_id || '', minutes(rule.device_velocity?.params.window_minutes)),
+  ])
+
+  const listed = lists.results
+  const blocked = listed.filter(l => l.list === 'block').map(l => l.kind)
+  const allowed = listed.filter(l => l.list === 'allow').map(l => l.kind)
+  if (!blocked.length && allowed.length) {
+    return { score: 0, level: 'low', hold: false, reasons: [`Allowlisted ${allowed.join(', ')}`], hits: [] }
   }
 
-  try {
-    const delivered = await c.env.DB.prepare(
-      "SELECT COUNT(*) as count FROM orders WHERE phone = ? AND status = 'delivered'"
-    ).bind(phone).first()
-    const avg = await c.env.DB.prepare("SELECT AVG(total_amount) as avg FROM orders WHERE status != 'cancelled'").first()
-    if (delivered?.count === 0 && avg?.avg && total > avg.avg * 3) {
-      score += 15; reasons.push('Unusually high order value for a first-time customer')
-    }
-  } catch {}
+  const hits = []
+  const hit = (key, reason, points = rule[key].points) => { if (points > 0) hits.push({ rule: key, points, reason }) }
+  const { cancelled, delivered, recent } = history.results[0]
+  const nameCheck = (full_name || '').toLowerCase()
 
-  try {
-    const recent = await c.env.DB.prepare(
-      "SELECT COUNT(*) as count FROM orders WHERE phone = ? AND created_at >= datetime('now', '-10 minutes')"
-    ).bind(phone).first()
-    if (recent?.count >= 1) { score += 20; reasons.push('Multiple orders placed in a short time from this number') }
-  } catch {}
+  if (rule.blocklisted && blocked.length) hit('blocklisted', `Blocklisted ${blocked.join(', ')}`)
+  if (rule.invalid_phone && !new RegExp(settings.phone_pattern).test(strip(phone, PHONE_STRIP))) hit('invalid_phone', 'Phone number format looks invalid')
+  if (rule.cancelled_before && cancelled > 0) {
+    const max = rule.cancelled_before.params.max_points
+    hit('cancelled_before', `${cancelled} previous cancelled order${cancelled === 1 ? '' : 's'} from this number`, Math.min(rule.cancelled_before.points * cancelled, max || Infinity))
+  }
+  if (rule.short_address && (!address || address.trim().length < rule.short_address.params.min_length)) hit('short_address', 'Address is too short / incomplete')
+  else if (rule.address_no_number && !/\d/.test(address)) hit('address_no_number', 'Address has no house/street number')
+  if (rule.fake_name && (/\btest\b|asdf|xxx|abc123/.test(nameCheck) || /(.)\1{3,}/.test(nameCheck) || nameCheck.trim().length < 3)) hit('fake_name', 'Name looks like a test/fake entry')
+  const avg = average.results[0].avg
+  if (rule.high_value_first_order && delivered === 0 && avg && total > avg * rule.high_value_first_order.params.multiplier) {
+    hit('high_value_first_order', 'Unusually high order value for a first-time customer')
+  }
+  if (rule.phone_velocity && recent >= 1) hit('phone_velocity', 'Multiple orders placed in a short time from this number')
+  const phones = sharedAddress.results[0].phones
+  if (rule.duplicate_address && phones > 0) hit('duplicate_address', `Address also used with ${phones} other phone number${phones === 1 ? '' : 's'}`)
+  if (rule.device_velocity && device_id && device.results[0].count >= rule.device_velocity.params.max_orders) {
+    hit('device_velocity', `${device.results[0].count} recent orders from the same device`)
+  }
 
-  score = Math.min(score, 100)
-  const level = score >= 50 ? 'high' : score >= 25 ? 'medium' : 'low'
-  return { score, level, reasons }
+  const score = Math.min(hits.reduce((sum, h) => sum + h.points, 0), 100)
+  const level = riskLevel(score, settings)
+  return { score, level, hold: level === 'high', reasons: hits.map(h => h.reason), hits }
+}
+
+// A valid JWT is only honoured while its session is open and the user's token_version is unchanged.
+async function sessionIsCurrent(c, payload) {
+  const current = await c.env.DB.prepare(
+    'SELECT u.token_version, s.revoked_at FROM users u JOIN sessions s ON s.id = ? AND s.user_id = u.id WHERE u.id = ?'
+  ).bind(payload.sid, payload.id).first()
+  return !!current && !current.revoked_at && current.token_version === payload.tv
 }
 
 const authMiddleware = async (c, next) => {
@@ -94,33 +378,48 @@ const authMiddleware = async (c, next) => {
   if (!auth?.startsWith('Bearer ')) return c.json({ error: 'Unauthorized' }, 401)
   if (!c.env.JWT_SECRET) return c.json({ error: 'Server misconfigured: JWT_SECRET not set' }, 500)
   const payload = await verifyJWT(auth.slice(7), c.env.JWT_SECRET)
-  if (!payload) return c.json({ error: 'Invalid or expired token' }, 401)
+  if (!payload || !payload.sid) return c.json({ error: 'Invalid or expired token' }, 401)
+  if (!await sessionIsCurrent(c, payload)) return c.json({ error: 'Session has ended. Please login again.' }, 401)
   c.set('user', payload)
   await next()
 }
 
 const adminMiddleware = async (c, next) => {
-  await authMiddleware(c, async () => {
-    if (c.get('user').role !== 'admin') return c.json({ error: 'Forbidden' }, 403)
-    await next()
-  })
+  const denied = await authMiddleware(c, async () => {})
+  if (denied) return denied
+  if (c.get('user').role !== 'admin') return c.json({ error: 'Forbidden' }, 403)
+  await next()
+}
+
+// For routes that work signed in or out: no Authorization header means a guest, but a token
+// that is sent must be valid (the 401 lets the pages refresh it and retry).
+const optionalAuthMiddleware = async (c, next) => {
+  if (!c.req.header('Authorization')) return next()
+  return authMiddleware(c, next)
 }
 
 app.get('/', c => c.json({ status: 'Elegant La Vie API Running', version: '2.0.0' }))
 
 // AUTH
+// An optional `cart` (the guest localStorage cart) is merged into the user's server cart.
 app.post('/api/login', async (c) => {
   try {
-    const { email, password } = await c.req.json()
+    const { email, password, cart } = await c.req.json()
     if (!email || !password) return c.json({ error: 'Email and password required' }, 400)
+    const wait = await throttleLockedFor(c, email)
+    if (wait) return lockedResponse(c, wait)
     const user = await c.env.DB.prepare('SELECT * FROM users WHERE email = ?').bind(email).first()
-    if (!user) return c.json({ error: 'Invalid credentials' }, 401)
-    const hash = await hashPassword(password)
-    const valid = user.password_hash === hash
-    if (!valid) return c.json({ error: 'Invalid credentials' }, 401)
+    const { valid, needsRehash } = await verifyPassword(password, user?.password_hash)
+    if (!valid) {
+      await recordFailedAttempt(c, email)
+      return c.json({ error: 'Invalid credentials' }, 401)
+    }
+    await clearFailedAttempts(c, email)
+    if (needsRehash) await c.env.DB.prepare('UPDATE users SET password_hash = ? WHERE id = ?').bind(await hashPassword(password), user.id).run()
     if (!c.env.JWT_SECRET) return c.json({ error: 'Server misconfigured: JWT_SECRET not set' }, 500)
-    const token = await createJWT({ id: user.id, email: user.email, name: user.name, role: user.role }, c.env.JWT_SECRET)
-    return c.json({ token, user: { id: user.id, name: user.name, email: user.email, role: user.role } })
+    const merge = mergeCartStmts(c, user.id, cart)
+    if (merge.length) await c.env.DB.batch(merge)
+    return c.json({ ...await createSession(c, user), cart: await cartView(c, user.id) })
   } catch (err) {
     return c.json({ error: 'Login failed', details: err.message }, 500)
   }
@@ -128,69 +427,550 @@ app.post('/api/login', async (c) => {
 
 app.post('/api/register', async (c) => {
   try {
-    const { name, email, password } = await c.req.json()
+    const { name, email, password, cart } = await c.req.json()
     if (!name || !email || !password) return c.json({ error: 'All fields required' }, 400)
     const existing = await c.env.DB.prepare('SELECT id FROM users WHERE email = ?').bind(email).first()
     if (existing) return c.json({ error: 'Email already registered' }, 409)
     const hash = await hashPassword(password)
     const result = await c.env.DB.prepare('INSERT INTO users (name, email, password_hash, role) VALUES (?, ?, ?, ?)').bind(name, email, hash, 'customer').run()
     if (!c.env.JWT_SECRET) return c.json({ error: 'Server misconfigured: JWT_SECRET not set' }, 500)
-    const token = await createJWT({ id: result.meta.last_row_id, email, name, role: 'customer' }, c.env.JWT_SECRET)
-    return c.json({ token, user: { id: result.meta.last_row_id, name, email, role: 'customer' } }, 201)
+    const user = { id: result.meta.last_row_id, name, email, role: 'customer', token_version: 0, email_verified_at: null }
+    // The account exists by now; if the mail fails, the customer can ask for another link
+    await sendVerificationEmail(c, user).catch(err => console.error(`Verification email to ${email} failed:`, err.message))
+    const merge = mergeCartStmts(c, user.id, cart)
+    if (merge.length) await c.env.DB.batch(merge)
+    return c.json({ ...await createSession(c, user), cart: await cartView(c, user.id) }, 201)
   } catch (err) {
     return c.json({ error: 'Registration failed', details: err.message }, 500)
   }
 })
 
+app.post('/api/auth/refresh', async (c) => {
+  try {
+    const { refresh_token } = await c.req.json()
+    const [sid, secret] = (refresh_token || '').split('.')
+    if (!sid || !secret) return c.json({ error: 'Refresh token required' }, 400)
+    if (!c.env.JWT_SECRET) return c.json({ error: 'Server misconfigured: JWT_SECRET not set' }, 500)
+    const session = await c.env.DB.prepare(
+      "SELECT s.*, strftime('%s', 'now') - strftime('%s', s.rotated_at) as since_rotation, s.expires_at < datetime('now') as expired FROM sessions s WHERE s.id = ?"
+    ).bind(sid).first()
+    if (!session || session.revoked_at || session.expired) return c.json({ error: 'Session has ended. Please login again.' }, 401)
+
+    const hash = await sha256B64(secret)
+    if (!timingSafeEqual(hash, session.refresh_hash)) {
+      // An already-rotated token showing up again long after rotation means it was copied: end the session.
+      if (session.previous_hash && timingSafeEqual(hash, session.previous_hash) && session.since_rotation > REFRESH_REUSE_GRACE_SECONDS) {
+        await c.env.DB.prepare("UPDATE sessions SET revoked_at = datetime('now') WHERE id = ?").bind(sid).run()
+      }
+      return c.json({ error: 'Session has ended. Please login again.' }, 401)
+    }
+
+    const user = await c.env.DB.prepare('SELECT * FROM users WHERE id = ?').bind(session.user_id).first()
+    if (!user) return c.json({ error: 'Session has ended. Please login again.' }, 401)
+    const nextSecret = randomToken(32)
+    const rotated = await c.env.DB.prepare(
+      "UPDATE sessions SET previous_hash = refresh_hash, refresh_hash = ?, rotated_at = datetime('now'), expires_at = datetime('now', ?) WHERE id = ? AND refresh_hash = ?"
+    ).bind(await sha256B64(nextSecret), `+${REFRESH_TOKEN_DAYS} days`, sid, session.refresh_hash).run()
+    if (!rotated.meta.changes) return c.json({ error: 'Session has ended. Please login again.' }, 401)
+    return c.json({ token: await accessTokenFor(c, user, sid), refresh_token: `${sid}.${nextSecret}`, user: publicUser(user) })
+  } catch (err) {
+    return c.json({ error: 'Failed to refresh session', details: err.message }, 500)
+  }
+})
+
+// Ends the current session. Works with an expired access token as long as the refresh token is sent.
+app.post('/api/logout', async (c) => {
+  try {
+    const { refresh_token } = await c.req.json().catch(() => ({}))
+    const [sid, secret] = (refresh_token || '').split('.')
+    if (sid && secret) {
+      await c.env.DB.prepare("UPDATE sessions SET revoked_at = datetime('now') WHERE id = ? AND refresh_hash = ? AND revoked_at IS NULL").bind(sid, await sha256B64(secret)).run()
+    }
+    const auth = c.req.header('Authorization')
+    const payload = auth?.startsWith('Bearer ') && c.env.JWT_SECRET ? await verifyJWT(auth.slice(7), c.env.JWT_SECRET) : null
+    if (payload?.sid) {
+      await c.env.DB.prepare("UPDATE sessions SET revoked_at = datetime('now') WHERE id = ? AND user_id = ? AND revoked_at IS NULL").bind(payload.sid, payload.id).run()
+    }
+    return c.json({ success: true })
+  } catch (err) {
+    return c.json({ error: 'Logout failed', details: err.message }, 500)
+  }
+})
+
+app.post('/api/logout-all', authMiddleware, async (c) => {
+  try {
+    await c.env.DB.batch(revokeAllSessionsStmts(c, c.get('user').id))
+    return c.json({ success: true, message: 'Logged out on all devices.' })
+  } catch (err) {
+    return c.json({ error: 'Logout failed', details: err.message }, 500)
+  }
+})
+
+// PASSWORD RESET & EMAIL VERIFICATION
+app.post('/api/password/forgot', async (c) => {
+  try {
+    const { email } = await c.req.json()
+    if (!email) return c.json({ error: 'Email required' }, 400)
+    const user = await c.env.DB.prepare('SELECT * FROM users WHERE email = ?').bind(email).first()
+    // One email per couple of minutes, and the same answer whether or not the account exists.
+    const recent = user && await c.env.DB.prepare(
+      "SELECT id FROM auth_tokens WHERE user_id = ? AND purpose = 'password_reset' AND created_at > datetime('now', '-2 minutes')"
+    ).bind(user.id).first()
+    if (user && !recent) await sendPasswordResetEmail(c, user)
+    return c.json({ success: true, message: 'If that email is registered, a reset link is on its way.' })
+  } catch (err) {
+    return c.json({ error: 'Failed to start password reset', details: err.message }, 500)
+  }
+})
+
+app.post('/api/password/reset', async (c) => {
+  try {
+    const { token, password } = await c.req.json()
+    if (!token || !password) return c.json({ error: 'Token and new password required' }, 400)
+    if (password.length < 8) return c.json({ error: 'Password must be at least 8 characters' }, 400)
+    const row = await consumeAuthToken(c, token, 'password_reset')
+    if (!row) return c.json({ error: 'This reset link is invalid or has expired' }, 400)
+    const user = await c.env.DB.prepare('SELECT * FROM users WHERE id = ?').bind(row.user_id).first()
+    if (!user) return c.json({ error: 'This reset link is invalid or has expired' }, 400)
+    // Following the emailed link proves the address, so it also counts as verification.
+    await c.env.DB.batch([
+      c.env.DB.prepare("UPDATE users SET password_hash = ?, email_verified_at = COALESCE(email_verified_at, datetime('now')) WHERE id = ?").bind(await hashPassword(password), user.id),
+      c.env.DB.prepare('DELETE FROM auth_throttle WHERE key = ?').bind(`email:${user.email.toLowerCase()}`),
+      ...revokeAllSessionsStmts(c, user.id),
+    ])
+    return c.json({ success: true, message: 'Password updated. Please sign in with your new password.' })
+  } catch (err) {
+    return c.json({ error: 'Failed to reset password', details: err.message }, 500)
+  }
+})
+
+app.post('/api/email/verify', async (c) => {
+  try {
+    const { token } = await c.req.json()
+    const row = await consumeAuthToken(c, token, 'email_verify')
+    if (!row) return c.json({ error: 'This verification link is invalid or has expired' }, 400)
+    await c.env.DB.prepare("UPDATE users SET email_verified_at = COALESCE(email_verified_at, datetime('now')) WHERE id = ?").bind(row.user_id).run()
+    return c.json({ success: true, message: 'Email confirmed. Thank you!' })
+  } catch (err) {
+    return c.json({ error: 'Failed to verify email', details: err.message }, 500)
+  }
+})
+
+app.post('/api/email/resend', authMiddleware, async (c) => {
+  try {
+    const user = await c.env.DB.prepare('SELECT * FROM users WHERE id = ?').bind(c.get('user').id).first()
+    if (user.email_verified_at) return c.json({ error: 'Email is already verified' }, 400)
+    const recent = await c.env.DB.prepare(
+      "SELECT id FROM auth_tokens WHERE user_id = ? AND purpose = 'email_verify' AND created_at > datetime('now', '-2 minutes')"
+    ).bind(user.id).first()
+    if (recent) return c.json({ error: 'A link was just sent. Please wait a couple of minutes before asking again.' }, 429)
+    await sendVerificationEmail(c, user)
+    return c.json({ success: true, message: `Verification link sent to ${user.email}` })
+  } catch (err) {
+    return c.json({ error: 'Failed to send verification email', details: err.message }, 500)
+  }
+})
+
 app.post('/api/admin/change-credentials', adminMiddleware, async (c) => {
   try {
     const { new_email, new_password, current_password } = await c.req.json()
     const user_id = c.get('user').id
     const user = await c.env.DB.prepare('SELECT * FROM users WHERE id = ?').bind(user_id).first()
-    const hash = await hashPassword(current_password)
-    if (user.password_hash !== hash) return c.json({ error: 'Current password is incorrect' }, 401)
-    if (new_email) await c.env.DB.prepare('UPDATE users SET email = ? WHERE id = ?').bind(new_email, user_id).run()
-    if (new_password) await c.env.DB.prepare('UPDATE users SET password_hash = ? WHERE id = ?').bind(await hashPassword(new_password), user_id).run()
+    if (!user) return c.json({ error: 'User not found' }, 404)
+    const wait = await throttleLockedFor(c, user.email)
+    if (wait) return lockedResponse(c, wait)
+    const { valid } = await verifyPassword(current_password, user.password_hash)
+    if (!valid) {
+      await recordFailedAttempt(c, user.email)
+      return c.json({ error: 'Current password is incorrect' }, 401)
+    }
+    await clearFailedAttempts(c, user.email)
+    if (new_password) {
+      const problems = passwordProblems(new_password, new_email || user.email)
+      if (problems.length) return c.json({ error: `New password must have ${problems.join(', ')}`, problems }, 400)
+    }
+    const emailChanged = new_email && new_email !== user.email
+    if (emailChanged) {
+      const taken = await c.env.DB.prepare('SELECT id FROM users WHERE email = ? AND id != ?').bind(new_email, user_id).first()
+      if (taken) return c.json({ error: 'Email already registered' }, 409)
+    }
+    // One batch, so the new email, the new password and the revoked sessions land together or not at all
+    const stmts = [
+      ...(emailChanged ? [c.env.DB.prepare('UPDATE users SET email = ? WHERE id = ?').bind(new_email, user_id)] : []),
+      ...(new_password ? [c.env.DB.prepare('UPDATE users SET password_hash = ? WHERE id = ?').bind(await hashPassword(new_password), user_id)] : []),
+    ]
+    if (stmts.length) await c.env.DB.batch([...stmts, ...revokeAllSessionsStmts(c, user_id)])
     return c.json({ success: true, message: 'Credentials updated. Please login again.' })
   } catch (err) {
-    return c.json({ error: 'Failed to update credentials', details: err.message }, 500)
+    console.error('Updating credentials failed:', err.message)
+    return c.json({ error: 'Failed to update credentials' }, 500)
+  }
+})
+
+// PRODUCT IMAGES — uploads are stored in the IMAGE_BUCKET R2 binding under a random key with a
+// product_images row (see migrations/0006_product_images.sql). GET /api/images/:key serves the
+// original, or with ?w= a variant resized by the IMAGES binding and kept in R2 under
+// variants/<width>/<key>. Keys are never reused, so every response can be cached for good.
+const IMAGE_MAX_BYTES = 5 * 1024 * 1024
+const IMAGE_WIDTHS = [160, 320, 640, 960, 1280]
+const IMAGE_CACHE_CONTROL = 'public, max-age=31536000, immutable'
+const ascii = (bytes, start, end) => String.fromCharCode(...bytes.subarray(start, end))
+// The type comes from the file's first bytes, never from the name or the browser's claim.
+// SVG is deliberately missing: it can carry script.
+const IMAGE_TYPES = [
+  { type: 'image/jpeg', ext: 'jpg', match: b => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { type: 'image/png', ext: 'png', match: b => [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a].every((v, i) => b[i] === v) },
+  { type: 'image/gif', ext: 'gif', match: b => ['GIF87a', 'GIF89a'].includes(ascii(b, 0, 6)) },
+  { type: 'image/webp', ext: 'webp', match: b => ascii(b, 0, 4) === 'RIFF' && ascii(b, 8, 12) === 'WEBP' },
+  { type: 'image/avif', ext: 'avif', match: b => ascii(b, 4, 8) === 'ftyp' && ['avif', 'avis'].includes(ascii(b, 8, 12)) },
+]
+const IMAGE_KEY = '[0-9a-f-]{36}\\.[a-z]{3,4}' // a storeImage key: <uuid>.<ext>
+const imageUrl = key => `/api/images/${key}`
+const variantKey = (key, width) => `variants/${width}/${key}`
+
+const sniffImageType = bytes => IMAGE_TYPES.find(t => bytes.length >= 12 && t.match(bytes)) || null
+
+// The original's width caps the variants served for it; null when the IMAGES binding is missing
+// or cannot read the file.
+async function imageWidth(c, bytes) {
+  if (!c.env.IMAGES) return null
+  try {
+    const info = await c.env.IMAGES.info(new Blob([bytes]).stream())
+    return info.width || null
+  } catch (err) {
+    console.error('Reading image size failed:', err.message)
+    return null
+  }
+}
+
+// Puts the bytes in the bucket and records an unattached product_images row.
+async function storeImage(c, bytes) {
+  if (bytes.length > IMAGE_MAX_BYTES) return { error: 'Image must be under 5MB' }
+  const kind = sniffImageType(bytes)
+  if (!kind) return { error: 'Only JPEG, PNG, GIF, WebP or AVIF images are allowed' }
+  const key = `${crypto.randomUUID()}.${kind.ext}`
+  const width = await imageWidth(c, bytes)
+  await c.env.IMAGE_BUCKET.put(key, bytes, { httpMetadata: { contentType: kind.type, cacheControl: IMAGE_CACHE_CONTROL } })
+  try {
+    await c.env.DB.prepare('INSERT INTO product_images (key, content_type, size, width) VALUES (?, ?, ?, ?)').bind(key, kind.type, bytes.length, width).run()
+  } catch (err) {
+    await c.env.IMAGE_BUCKET.delete(key)
+    throw err
+  }
+  return { key, url: imageUrl(key), content_type: kind.type, size: bytes.length }
+}
+
+// Removes originals and every variant made from them (R2 deletes up to 1000 keys per call).
+async function deleteImageObjects(c, keys) {
+  const all = keys.flatMap(key => [key, ...IMAGE_WIDTHS.map(w => variantKey(key, w))])
+  for (let i = 0; i < all.length; i += 1000) await c.env.IMAGE_BUCKET.delete(all.slice(i, i + 1000))
+}
+
+// Statements that make `keys` the product's gallery in that order, plus the keys it no longer
+// uses (for deleteImageObjects once the batch has run). An image attached to another product is
+// an error; leaving `keys` undefined leaves the gallery alone.
+async function productGallery(c, productId, keys) {
+  if (keys === undefined) return { stmts: [], removed: [] }
+  if (!Array.isArray(keys) || keys.some(k => typeof k !== 'string')) return { error: 'images must be a list of image keys' }
+  const { results } = await c.env.DB.prepare('SELECT key, product_id FROM product_images WHERE product_id = ? OR product_id IS NULL').bind(productId).all()
+  const available = new Set(results.map(r => r.key))
+  const unknown = keys.find(k => !available.has(k))
+  if (unknown) return { error: `Image ${unknown} was not found or belongs to another product` }
+  if (new Set(keys).size !== keys.length) return { error: 'An image is listed twice' }
+  const removed = results.filter(r => r.product_id !== null && !keys.includes(r.key)).map(r => r.key)
+  const stmts = [
+    ...keys.map((key, i) => c.env.DB.prepare('UPDATE product_images SET product_id = ?, position = ? WHERE key = ?').bind(productId, i, key)),
+    ...removed.map(key => c.env.DB.prepare('DELETE FROM product_images WHERE key = ?').bind(key)),
+  ]
+  stmts.push(keys.length
+    ? c.env.DB.prepare('UPDATE products SET image = ? WHERE id = ?').bind(imageUrl(keys[0]), productId)
+    : c.env.DB.prepare("UPDATE products SET image = '' WHERE id = ? AND image LIKE '/api/images/%'").bind(productId))
+  return { stmts, removed }
+}
+
+async function productImages(c, productIds) {
+  if (!productIds.length) return new Map()
+  const { results } = await c.env.DB.prepare(
+    `SELECT product_id, key FROM product_images WHERE product_id IN (${productIds.map(() => '?').join(', ')}) ORDER BY product_id, position`
+  ).bind(...productIds).all()
+  const byProduct = new Map(productIds.map(id => [id, []]))
+  for (const r of results) byProduct.get(r.product_id)?.push({ key: r.key, url: imageUrl(r.key) })
+  return byProduct
+}
+
+// Makes the variant on first request. GIFs (which may be animated) and images the IMAGES binding
+// cannot read are served at their original size.
+async function imageVariant(c, key, width, conditions) {
+  const cached = await c.env.IMAGE_BUCKET.get(variantKey(key, width), { onlyIf: conditions })
+  if (cached) return cached
+  const original = await c.env.IMAGE_BUCKET.get(key)
+  if (!original) return null
+  const type = original.httpMetadata?.contentType
+  if (type === 'image/gif' || !c.env.IMAGES) return c.env.IMAGE_BUCKET.get(key, { onlyIf: conditions })
+  try {
+    const result = await c.env.IMAGES.input(original.body).transform({ width, fit: 'scale-down' }).output({ format: type })
+    const bytes = await result.response().arrayBuffer()
+    await c.env.IMAGE_BUCKET.put(variantKey(key, width), bytes, { httpMetadata: { contentType: type, cacheControl: IMAGE_CACHE_CONTROL } })
+    return c.env.IMAGE_BUCKET.get(variantKey(key, width), { onlyIf: conditions })
+  } catch (err) {
+    console.error(`Resizing ${key} to ${width}px failed:`, err.message)
+    return c.env.IMAGE_BUCKET.get(key, { onlyIf: conditions })
+  }
+}
+
+// ?w= is rounded up to the next IMAGE_WIDTHS step (capped at the largest) so only a handful of
+// variants can ever exist per image. A step at or beyond the original's width gets the original,
+// so nothing is upscaled. Answers If-None-Match with a 304.
+app.get(`/api/images/:key{${IMAGE_KEY}}`, async (c) => {
+  try {
+    if (!c.env.IMAGE_BUCKET) return c.json({ error: 'Server misconfigured: IMAGE_BUCKET not bound' }, 500)
+    const key = c.req.param('key')
+    const requested = parseInt(c.req.query('w'))
+    let width = requested > 0 ? IMAGE_WIDTHS.find(w => w >= requested) ?? IMAGE_WIDTHS.at(-1) : null
+    if (width) {
+      const original = await c.env.DB.prepare('SELECT width FROM product_images WHERE key = ?').bind(key).first()
+      if (original?.width && width >= original.width) width = null
+    }
+    const conditions = c.req.raw.headers
+    const object = width ? await imageVariant(c, key, width, conditions) : await c.env.IMAGE_BUCKET.get(key, { onlyIf: conditions })
+    if (!object) return c.json({ error: 'Image not found' }, 404)
+    const headers = new Headers()
+    object.writeHttpMetadata(headers)
+    headers.set('ETag', object.httpEtag)
+    headers.set('Cache-Control', IMAGE_CACHE_CONTROL)
+    if (!('body' in object)) return new Response(null, { status: 304, headers })
+    return new Response(object.body, { headers })
+  } catch (err) {
+    return c.json({ error: 'Failed to load image', details: err.message }, 500)
   }
 })
 
-// UPLOAD IMAGE (admin only) — accepts a file directly from device, forwards it to ImgBB, returns a public URL
+// UPLOAD IMAGE (admin only) — a file straight from the device; returns its key for the product
+// form's gallery. It stays unattached until a product is saved with it.
 app.post('/api/admin/upload', adminMiddleware, async (c) => {
   try {
+    if (!c.env.IMAGE_BUCKET) return c.json({ error: 'Server misconfigured: IMAGE_BUCKET not bound' }, 500)
     const formData = await c.req.formData()
     const file = formData.get('image')
     if (!file || typeof file === 'string') return c.json({ error: 'No image file provided' }, 400)
-    if (!file.type || !file.type.startsWith('image/')) return c.json({ error: 'Only image files are allowed' }, 400)
-    if (file.size > 5 * 1024 * 1024) return c.json({ error: 'Image must be under 5MB' }, 400)
-    if (!c.env.IMGBB_API_KEY) return c.json({ error: 'Server misconfigured: IMGBB_API_KEY not set' }, 500)
+    if (file.size > IMAGE_MAX_BYTES) return c.json({ error: 'Image must be under 5MB' }, 400)
+    const stored = await storeImage(c, new Uint8Array(await file.arrayBuffer()))
+    if (stored.error) return c.json({ error: stored.error }, 400)
+    return c.json({ success: true, ...stored }, 201)
+  } catch (err) {
+    return c.json({ error: 'Upload failed', details: err.message }, 500)
+  }
+})
 
-    const uploadForm = new FormData()
-    uploadForm.append('image', file, file.name || 'upload.jpg')
+// Copies product images that still live on another host (ImgBB, Unsplash) into the bucket. A few
+// products per call keeps within the Workers subrequest limit: call again with after_id set to
+// next_after_id until it is null. Only https URLs on REHOST_HOSTS are fetched, redirects are not
+// followed, and a body that is not image/* or runs past IMAGE_MAX_BYTES is dropped.
+const REHOST_BATCH = 10
+const REHOST_HOSTS = ['images.unsplash.com', 'i.ibb.co']
 
-    const imgbbRes = await fetch(`https://api.imgbb.com/1/upload?key=${c.env.IMGBB_API_KEY}`, {
-      method: 'POST',
-      body: uploadForm
-    })
-    const imgbbData = await imgbbRes.json()
-    if (!imgbbRes.ok || !imgbbData.success) {
-      return c.json({ error: 'Upload to image host failed', details: imgbbData.error?.message || 'unknown error' }, 502)
+function rehostSource(url) {
+  try {
+    const parsed = new URL(url)
+    return parsed.protocol === 'https:' && REHOST_HOSTS.includes(parsed.hostname) ? parsed : null
+  } catch { return null }
+}
+
+// The whole body, or null once it passes `limit` bytes (Content-Length can be missing or wrong).
+async function readAtMost(res, limit) {
+  const reader = res.body.getReader()
+  const chunks = []
+  let size = 0
+  for (;;) {
+    const { done, value } = await reader.read()
+    if (done) break
+    size += value.length
+    if (size > limit) {
+      await reader.cancel()
+      return null
     }
+    chunks.push(value)
+  }
+  const bytes = new Uint8Array(size)
+  let offset = 0
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset)
+    offset += chunk.length
+  }
+  return bytes
+}
 
-    return c.json({ success: true, url: imgbbData.data.url })
+app.post('/api/admin/images/rehost', adminMiddleware, async (c) => {
+  try {
+    if (!c.env.IMAGE_BUCKET) return c.json({ error: 'Server misconfigured: IMAGE_BUCKET not bound' }, 500)
+    const { after_id = 0 } = await c.req.json().catch(() => ({}))
+    const { results } = await c.env.DB.prepare(
+      "SELECT id, name, image FROM products WHERE id > ? AND image LIKE 'http%' AND NOT EXISTS (SELECT 1 FROM product_images WHERE product_id = products.id) ORDER BY id LIMIT ?"
+    ).bind(parseInt(after_id) || 0, REHOST_BATCH + 1).all()
+    const batch = results.slice(0, REHOST_BATCH)
+    const rehosted = [], failed = []
+    for (const product of batch) {
+      try {
+        const source = rehostSource(product.image)
+        if (!source) throw new Error(`Only https images from ${REHOST_HOSTS.join(' or ')} can be moved`)
+        const res = await fetch(source, { redirect: 'manual' })
+        if (!res.ok) throw new Error(`Image host answered ${res.status}`)
+        if (!/^image\//i.test(res.headers.get('Content-Type') || '')) throw new Error('Image host did not send an image')
+        if (parseInt(res.headers.get('Content-Length')) > IMAGE_MAX_BYTES) throw new Error('Image must be under 5MB')
+        const bytes = await readAtMost(res, IMAGE_MAX_BYTES)
+        if (!bytes) throw new Error('Image must be under 5MB')
+        const stored = await storeImage(c, bytes)
+        if (stored.error) throw new Error(stored.error)
+        const gallery = await productGallery(c, product.id, [stored.key])
+        await c.env.DB.batch(gallery.stmts)
+        rehosted.push({ id: product.id, name: product.name, url: stored.url })
+      } catch (err) {
+        failed.push({ id: product.id, name: product.name, image: product.image, error: err.message })
+      }
+    }
+    return c.json({ rehosted, failed, next_after_id: results.length > REHOST_BATCH ? batch.at(-1).id : null })
   } catch (err) {
-    return c.json({ error: 'Upload failed', details: err.message }, 500)
+    return c.json({ error: 'Failed to move images', details: err.message }, 500)
+  }
+})
+
+// Deletes uploads that were never attached to a product (a product form closed without saving).
+// Only those older than a day go, so a form still being filled in keeps its gallery.
+app.post('/api/admin/images/cleanup', adminMiddleware, async (c) => {
+  try {
+    if (!c.env.IMAGE_BUCKET) return c.json({ error: 'Server misconfigured: IMAGE_BUCKET not bound' }, 500)
+    // RETURNING gives exactly the rows removed, so an upload attached meanwhile is never touched
+    const { results } = await c.env.DB.prepare(
+      "DELETE FROM product_images WHERE product_id IS NULL AND created_at < datetime('now', '-1 day') RETURNING key"
+    ).all()
+    if (results.length) await deleteImageObjects(c, results.map(r => r.key))
+    return c.json({ success: true, deleted: results.length })
+  } catch (err) {
+    return c.json({ error: 'Failed to clean up images', details: err.message }, 500)
   }
 })
 
 // PRODUCTS
+// GET /api/products query params — all optional:
+//   q          full-text search over name, description and scent_notes (products_fts, prefix match)
+//   mood, gender, min_price, max_price (on the discounted price), in_stock=1, on_sale=1
+//   sort       featured (default) | relevance (default when q is set) | price_asc | price_desc | newest | popular
+//   limit      1-100, default 24;  offset  default 0
+// Facet counts per mood/gender apply every filter except their own, so the UI can show what
+// switching that filter would return.
+const EFFECTIVE_PRICE = 'ROUND(p.price * (1 - COALESCE(p.discount_percent, 0) / 100.0))'
+const UNITS_SOLD = "(SELECT COALESCE(SUM(oi.quantity), 0) FROM order_items oi JOIN orders o ON o.id = oi.order_id WHERE oi.product_id = p.id AND o.status != 'cancelled')"
+const PRODUCT_SORTS = {
+  featured: 'p.featured DESC, p.created_at DESC, p.id DESC',
+  relevance: 'f.rank, p.featured DESC, p.id DESC',
+  price_asc: `${EFFECTIVE_PRICE} ASC, p.id`,
+  price_desc: `${EFFECTIVE_PRICE} DESC, p.id`,
+  newest: 'p.created_at DESC, p.id DESC',
+  popular: 'units_sold DESC, p.featured DESC, p.id DESC',
+}
+
+// Turns free text into a safe FTS5 query: every word becomes a quoted prefix term, all must match.
+function ftsQuery(q) {
+  const terms = (q || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []
+  return terms.slice(0, 8).map(t => `"${t}"*`).join(' ')
+}
+
+function productFilters(query) {
+  const filters = []
+  if (query.mood) filters.push({ key: 'mood', sql: 'p.scent_mood = ?', binds: [query.mood] })
+  if (query.gender) filters.push({ key: 'gender', sql: "LOWER(COALESCE(p.gender, '')) = LOWER(?)", binds: [query.gender] })
+  const min = parseFloat(query.min_price), max = parseFloat(query.max_price)
+  if (Number.isFinite(min)) filters.push({ key: 'min_price', sql: `${EFFECTIVE_PRICE} >= ?`, binds: [min] })
+  if (Number.isFinite(max)) filters.push({ key: 'max_price', sql: `${EFFECTIVE_PRICE} <= ?`, binds: [max] })
+  if (query.in_stock === '1' || query.in_stock === 'true') filters.push({ key: 'in_stock', sql: 'p.stock > 0', binds: [] })
+  if (query.on_sale === '1' || query.on_sale === 'true') filters.push({ key: 'on_sale', sql: 'p.discount_percent > 0', binds: [] })
+  if (query.note) filters.push({ key: 'note', sql: 'p.id IN (SELECT pn.product_id FROM product_notes pn JOIN notes n ON n.id = pn.note_id WHERE n.slug = ?)', binds: [noteSlug(query.note)] })
+  return filters
+}
+
+// SCENT NOTES — products.scent_notes stays as the display string; the notes / product_notes
+// tables are the queryable copy. Admin input is either that comma string (tiers are inferred
+// from position: first note top, last base, the rest heart) or explicit { top, heart, base } lists.
+const NOTE_TIERS = ['top', 'heart', 'base']
+const NOTE_TIER_WEIGHTS = { top: 1, heart: 2, base: 3 } // base notes define a perfume's character most
+const SIMILAR_MOOD_WEIGHT = 3
+
+const noteSlug = name => name.trim().toLowerCase().replace(/\s+/g, '-')
+
+function tierForPosition(position, count) {
+  if (count === 1) return 'heart'
+  if (position === 0) return 'top'
+  return position === count - 1 ? 'base' : 'heart'
+}
+
+function parseScentNotes(scent_notes, tiered) {
+  if (tiered && typeof tiered === 'object') {
+    const seen = new Set()
+    return NOTE_TIERS.flatMap(tier => (Array.isArray(tiered[tier]) ? tiered[tier] : []).map(n => String(n).trim()).filter(Boolean).map(name => ({ name, tier })))
+      .filter(n => !seen.has(noteSlug(n.name)) && seen.add(noteSlug(n.name)))
+      .map((n, position) => ({ ...n, slug: noteSlug(n.name), position }))
+  }
+  const seen = new Set()
+  const names = (scent_notes || '').split(',').map(n => n.trim()).filter(n => n && !seen.has(noteSlug(n)) && seen.add(noteSlug(n)))
+  return names.map((name, position) => ({ name, slug: noteSlug(name), tier: tierForPosition(position, names.length), position }))
+}
+
+function syncProductNotesStmts(c, product_id, notes) {
+  return [
+    c.env.DB.prepare('DELETE FROM product_notes WHERE product_id = ?').bind(product_id),
+    ...notes.map(n => c.env.DB.prepare('INSERT OR IGNORE INTO notes (name, slug) VALUES (?, ?)').bind(n.name, n.slug)),
+    ...notes.map(n => c.env.DB.prepare('INSERT INTO product_notes (product_id, note_id, tier, position) SELECT ?, id, ?, ? FROM notes WHERE slug = ?').bind(product_id, n.tier, n.position, n.slug)),
+  ]
+}
+
+async function productNotes(c, product_id) {
+  const { results } = await c.env.DB.prepare(
+    'SELECT n.name, n.slug, pn.tier FROM product_notes pn JOIN notes n ON n.id = pn.note_id WHERE pn.product_id = ? ORDER BY pn.position'
+  ).bind(product_id).all()
+  return Object.fromEntries(NOTE_TIERS.map(tier => [tier, results.filter(r => r.tier === tier).map(({ name, slug }) => ({ name, slug }))]))
+}
+
 app.get('/api/products', async (c) => {
   try {
-    const { results } = await c.env.DB.prepare('SELECT * FROM products ORDER BY featured DESC, created_at DESC').all()
-    return c.json({ products: results })
-  } catch (err) { return c.json({ error: 'Failed to fetch products' }, 500) }
+    const query = c.req.query()
+    const match = ftsQuery(query.q)
+    const sort = query.sort || (match ? 'relevance' : 'featured')
+    if (!PRODUCT_SORTS[sort] || (sort === 'relevance' && !match)) return c.json({ error: `sort must be one of: ${Object.keys(PRODUCT_SORTS).join(', ')} (relevance needs q)` }, 400)
+    const limit = Math.min(Math.max(parseInt(query.limit) || 24, 1), 100)
+    const offset = Math.max(parseInt(query.offset) || 0, 0)
+
+    const filters = productFilters(query)
+    const from = match
+      ? 'FROM products p JOIN (SELECT rowid, bm25(products_fts) AS rank FROM products_fts WHERE products_fts MATCH ?) f ON f.rowid = p.id'
+      : 'FROM products p'
+    const scope = skip => {
+      const active = filters.filter(f => f.key !== skip)
+      return {
+        sql: `${from} ${active.length ? 'WHERE ' + active.map(f => f.sql).join(' AND ') : ''}`,
+        binds: [...(match ? [match] : []), ...active.flatMap(f => f.binds)],
+      }
+    }
+
+    const all = scope(null)
+    const byMood = scope('mood')
+    const byGender = scope('gender')
+    const [page, count, moods, genders] = await c.env.DB.batch([
+      c.env.DB.prepare(`SELECT p.*, ${EFFECTIVE_PRICE} AS final_price${sort === 'popular' ? `, ${UNITS_SOLD} AS units_sold` : ''} ${all.sql} ORDER BY ${PRODUCT_SORTS[sort]} LIMIT ? OFFSET ?`).bind(...all.binds, limit, offset),
+      c.env.DB.prepare(`SELECT COUNT(*) AS total ${all.sql}`).bind(...all.binds),
+      c.env.DB.prepare(`SELECT p.scent_mood AS value, COUNT(*) AS count ${byMood.sql} GROUP BY p.scent_mood`).bind(...byMood.binds),
+      c.env.DB.prepare(`SELECT LOWER(COALESCE(p.gender, '')) AS value, COUNT(*) AS count ${byGender.sql} GROUP BY LOWER(COALESCE(p.gender, ''))`).bind(...byGender.binds),
+    ])
+    const total = count.results[0].total
+    const facet = rows => Object.fromEntries(rows.filter(r => r.value).map(r => [r.value, r.count]))
+    return c.json({
+      products: page.results,
+      total,
+      limit,
+      offset,
+      next_offset: offset + page.results.length < total ? offset + page.results.length : null,
+      facets: { mood: facet(moods.results), gender: facet(genders.results) },
+    })
+  } catch (err) { return c.json({ error: 'Failed to fetch products', details: err.message }, 500) }
 })
 
 app.get('/api/products/featured', async (c) => {
@@ -211,24 +991,694 @@ app.get('/api/products/:id', async (c) => {
   try {
     const product = await c.env.DB.prepare('SELECT * FROM products WHERE id = ?').bind(c.req.param('id')).first()
     if (!product) return c.json({ error: 'Product not found' }, 404)
+    product.notes = await productNotes(c, product.id)
+    product.images = (await productImages(c, [product.id])).get(product.id)
     return c.json({ product })
   } catch (err) { return c.json({ error: 'Failed to fetch product' }, 500) }
 })
 
-// DISCOUNT VALIDATE (public)
-app.post('/api/discount/validate', async (c) => {
+// Ranks other products by shared notes (each shared note scores the average of its tier weight
+// in both perfumes) plus a bonus for the same mood.
+app.get('/api/products/:id/similar', async (c) => {
+  try {
+    const id = c.req.param('id')
+    const limit = Math.min(Math.max(parseInt(c.req.query('limit')) || 6, 1), 24)
+    const product = await c.env.DB.prepare('SELECT id, scent_mood FROM products WHERE id = ?').bind(id).first()
+    if (!product) return c.json({ error: 'Product not found' }, 404)
+    const tierWeight = col => `CASE ${col} ${Object.entries(NOTE_TIER_WEIGHTS).map(([tier, w]) => `WHEN '${tier}' THEN ${w}`).join(' ')} ELSE 1 END`
+    const { results } = await c.env.DB.prepare(`
+      SELECT p.*, COALESCE(o.overlap, 0) + CASE WHEN p.scent_mood = ? THEN ? ELSE 0 END AS similarity, o.shared_notes
+      FROM products p
+      LEFT JOIN (
+        SELECT b.product_id, SUM((${tierWeight('a.tier')} + ${tierWeight('b.tier')}) / 2.0) AS overlap, GROUP_CONCAT(n.name, ', ') AS shared_notes
+        FROM product_notes a
+        JOIN product_notes b ON b.note_id = a.note_id AND b.product_id != a.product_id
+        JOIN notes n ON n.id = a.note_id
+        WHERE a.product_id = ?
+        GROUP BY b.product_id
+      ) o ON o.product_id = p.id
+      WHERE p.id != ? AND (o.overlap IS NOT NULL OR p.scent_mood = ?)
+      ORDER BY similarity DESC, p.featured DESC, p.id DESC
+      LIMIT ?
+    `).bind(product.scent_mood, SIMILAR_MOOD_WEIGHT, product.id, product.id, product.scent_mood, limit).all()
+    return c.json({ products: results.map(p => ({ ...p, shared_notes: p.shared_notes ? p.shared_notes.split(', ') : [] })) })
+  } catch (err) { return c.json({ error: 'Failed to fetch similar products', details: err.message }, 500) }
+})
+
+app.get('/api/notes', async (c) => {
+  try {
+    const { results } = await c.env.DB.prepare(
+      'SELECT n.name, n.slug, COUNT(pn.product_id) as product_count FROM notes n LEFT JOIN product_notes pn ON pn.note_id = n.id GROUP BY n.id ORDER BY product_count DESC, n.name'
+    ).all()
+    return c.json({ notes: results })
+  } catch (err) { return c.json({ error: 'Failed to fetch notes' }, 500) }
+})
+
+// SCENT QUIZ — questions, options and scoring weights live in D1 (quiz_questions, quiz_options,
+// quiz_settings) so the admin can edit them. Each option's weights JSON may carry:
+//   mood      { "<scent_mood>": points }     notes  { "<note slug>": points }
+//   intensity 1 (light) - 3 (intense)         gender "male" | "female"       budget max price (Rs.)
+// A product earns 0-1 per component the answers touch; match_percent is those scores averaged
+// with the component weights from quiz_settings.weights. Components no answer touched are skipped.
+const QUIZ_COMPONENTS = ['mood', 'notes', 'gender', 'intensity', 'budget']
+const INTENSITY_LABELS = { 1: 'Light', 2: 'Moderate', 3: 'Intense' }
+const QUIZ_TOP_MATCHES = 6 // matches saved with a signed-in user's profile
+
+async function loadQuiz(c) {
+  const [questions, options, settings] = await c.env.DB.batch([
+    c.env.DB.prepare('SELECT id, key, title, subtitle FROM quiz_questions ORDER BY position, id'),
+    c.env.DB.prepare('SELECT question_id, value, label, description, image, weights FROM quiz_options ORDER BY position, id'),
+    c.env.DB.prepare('SELECT key, value FROM quiz_settings'),
+  ])
+  return {
+    questions: questions.results.map(q => ({
+      key: q.key,
+      title: q.title,
+      subtitle: q.subtitle,
+      options: options.results.filter(o => o.question_id === q.id)
+        .map(({ value, label, description, image, weights }) => ({ value, label, description, image, weights: JSON.parse(weights || '{}') })),
+    })),
+    ...Object.fromEntries(settings.results.map(r => [r.key, JSON.parse(r.value)])),
+  }
+}
+
+function quizProblems(quiz) {
+  const problems = []
+  const isPoints = obj => obj && typeof obj === 'object' && !Array.isArray(obj) && Object.values(obj).every(v => typeof v === 'number' && v >= 0)
+  if (!Array.isArray(quiz.questions) || !quiz.questions.length) return ['questions must be a non-empty list']
+  const keys = new Set()
+  quiz.questions.forEach((q, i) => {
+    const at = `question ${i + 1}`
+    if (!q.key || typeof q.key !== 'string') problems.push(`${at}: key is required`)
+    else if (keys.has(q.key)) problems.push(`${at}: key "${q.key}" is used twice`)
+    else keys.add(q.key)
+    if (!q.title) problems.push(`${at}: title is required`)
+    if (!Array.isArray(q.options) || q.options.length < 2) {
+      problems.push(`${at}: needs at least 2 options`)
+      return
+    }
+    const values = new Set()
+    q.options.forEach((o, j) => {
+      const opt = `${at}, option ${j + 1}`
+      if (!o.value || !o.label) problems.push(`${opt}: value and label are required`)
+      if (values.has(o.value)) problems.push(`${opt}: value "${o.value}" is used twice`)
+      values.add(o.value)
+      const w = o.weights || {}
+      if (w.mood !== undefined && !isPoints(w.mood)) problems.push(`${opt}: weights.mood must map moods to points`)
+      if (w.notes !== undefined && !isPoints(w.notes)) problems.push(`${opt}: weights.notes must map note slugs to points`)
+      if (w.intensity !== undefined && ![1, 2, 3].includes(w.intensity)) problems.push(`${opt}: weights.intensity must be 1, 2 or 3`)
+      if (w.gender !== undefined && !['male', 'female'].includes(w.gender)) problems.push(`${opt}: weights.gender must be male or female`)
+      if (w.budget !== undefined && !(w.budget > 0)) problems.push(`${opt}: weights.budget must be a positive price`)
+    })
+  })
+  if (!isPoints(quiz.weights) || !QUIZ_COMPONENTS.every(k => k in quiz.weights)) problems.push(`weights must give points for ${QUIZ_COMPONENTS.join(', ')}`)
+  if (quiz.mood_intensity !== undefined && !isPoints(quiz.mood_intensity)) problems.push('mood_intensity must map moods to 1-3')
+  if (quiz.note_intensity !== undefined && !isPoints(quiz.note_intensity)) problems.push('note_intensity must map note slugs to 1-3')
+  return problems
+}
+
+// Folds the chosen options into one preference profile.
+function quizPreferences(quiz, answers) {
+  const prefs = { mood: {}, notes: {}, intensity: [], gender: null, budget: null, answered: 0 }
+  const add = (into, points) => Object.entries(points || {}).forEach(([k, v]) => { into[k] = (into[k] || 0) + v })
+  for (const q of quiz.questions) {
+    const option = q.options.find(o => o.value === answers[q.key])
+    if (!option) continue
+    prefs.answered++
+    const w = option.weights
+    add(prefs.mood, w.mood)
+    add(prefs.notes, w.notes)
+    if (w.intensity) prefs.intensity.push(w.intensity)
+    if (w.gender) prefs.gender = w.gender
+    if (w.budget) prefs.budget = prefs.budget ? Math.min(prefs.budget, w.budget) : w.budget
+  }
+  prefs.target_intensity = prefs.intensity.length ? prefs.intensity.reduce((a, b) => a + b, 0) / prefs.intensity.length : null
+  return prefs
+}
+
+// A perfume's intensity is the average of its mood's and its notes' intensities (defaults to moderate).
+function productIntensity(quiz, product, notes) {
+  const values = [quiz.mood_intensity?.[product.scent_mood], ...notes.map(n => quiz.note_intensity?.[n.slug])].filter(Number.isFinite)
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : 2
+}
+
+function scoreQuizProduct(quiz, prefs, product, notes) {
+  const scores = {}
+  const reasons = {}
+  const moodPoints = Object.values(prefs.mood)
+  if (moodPoints.length) {
+    scores.mood = (prefs.mood[product.scent_mood] || 0) / Math.max(...moodPoints)
+    reasons.mood = `Matches your ${product.scent_mood.toLowerCase()} mood`
+  }
+  const notePoints = Object.values(prefs.notes).reduce((a, b) => a + b, 0)
+  if (notePoints) {
+    const matched = notes.filter(n => prefs.notes[n.slug])
+      .sort((a, b) => prefs.notes[b.slug] * NOTE_TIER_WEIGHTS[b.tier] - prefs.notes[a.slug] * NOTE_TIER_WEIGHTS[a.tier])
+    // Landing half of the requested note points (heart-note weight) counts as a full match.
+    const earned = matched.reduce((sum, n) => sum + prefs.notes[n.slug] * NOTE_TIER_WEIGHTS[n.tier] / NOTE_TIER_WEIGHTS.heart, 0)
+    scores.notes = Math.min(1, earned / (notePoints / 2))
+    reasons.notes = matched.length ? `Features ${matched.slice(0, 2).map(n => n.name).join(' and ')}` : null
+  }
+  if (prefs.gender) {
+    const gender = (product.gender || '').toLowerCase()
+    scores.gender = gender === prefs.gender ? 1 : !gender || gender === 'unisex' ? 0.75 : 0
+    reasons.gender = gender === prefs.gender ? `Made for ${prefs.gender === 'male' ? 'him' : 'her'}` : 'A unisex scent'
+  }
+  if (prefs.target_intensity) {
+    const intensity = productIntensity(quiz, product, notes)
+    scores.intensity = 1 - Math.abs(intensity - prefs.target_intensity) / 2
+    reasons.intensity = `${INTENSITY_LABELS[Math.round(intensity)]} projection, as you like it`
+  }
+  if (prefs.budget) {
+    scores.budget = product.final_price <= prefs.budget ? 1 : Math.max(0, 1 - (product.final_price - prefs.budget) / prefs.budget * 2)
+    reasons.budget = `Within your Rs. ${prefs.budget} budget`
+  }
+  const parts = Object.keys(scores).map(k => ({ key: k, score: scores[k], weight: quiz.weights[k] || 0 }))
+  const totalWeight = parts.reduce((sum, p) => sum + p.weight, 0)
+  const match = totalWeight ? parts.reduce((sum, p) => sum + p.score * p.weight, 0) / totalWeight : 0
+  const why = parts.filter(p => p.score >= 0.6 && reasons[p.key])
+    .sort((a, b) => b.score * b.weight - a.score * a.weight)
+    .slice(0, 2).map(p => reasons[p.key]).join(' · ')
+  return { match_percent: Math.round(match * 100), why: why || 'A different direction worth exploring' }
+}
+
+// Scores every in-stock product and returns them best first, plus a readable profile summary.
+async function recommendFromQuiz(c, quiz, answers) {
+  const prefs = quizPreferences(quiz, answers)
+  if (!prefs.answered) return null
+  const [products, noteRows] = await c.env.DB.batch([
+    c.env.DB.prepare(`SELECT p.*, ${EFFECTIVE_PRICE} AS final_price FROM products p WHERE p.stock > 0`),
+    c.env.DB.prepare('SELECT pn.product_id, pn.tier, n.name, n.slug FROM product_notes pn JOIN notes n ON n.id = pn.note_id'),
+  ])
+  const notesFor = id => noteRows.results.filter(n => n.product_id === id)
+  const ranked = products.results
+    .map(p => ({ ...p, ...scoreQuizProduct(quiz, prefs, p, notesFor(p.id)) }))
+    .sort((a, b) => b.match_percent - a.match_percent || b.featured - a.featured || b.id - a.id)
+
+  const noteNames = Object.fromEntries(noteRows.results.map(n => [n.slug, n.name]))
+  const byPoints = obj => Object.entries(obj).sort((a, b) => b[1] - a[1]).map(([k]) => k)
+  const mood = byPoints(prefs.mood)[0] || ranked[0]?.scent_mood || null
+  const profile = {
+    mood,
+    ...(quiz.mood_profiles?.[mood] || {}),
+    notes: byPoints(prefs.notes).slice(0, 5).map(slug => noteNames[slug] || slug),
+    intensity: prefs.target_intensity ? INTENSITY_LABELS[Math.round(prefs.target_intensity)] : null,
+    gender: prefs.gender,
+    budget: prefs.budget,
+  }
+  return { profile, products: ranked }
+}
+
+app.get('/api/quiz', async (c) => {
+  try {
+    const { questions, mood_profiles } = await loadQuiz(c)
+    if (!questions.length) return c.json({ error: 'The scent quiz has not been set up yet' }, 503)
+    // Guests only need what to show; the scoring weights stay server-side.
+    return c.json({ questions: questions.map(q => ({ ...q, options: q.options.map(({ weights, ...o }) => o) })), mood_profiles: mood_profiles || {} })
+  } catch (err) { return c.json({ error: 'Failed to load quiz', details: err.message }, 500) }
+})
+
+// Body: { answers: { <question key>: <option value> }, limit? }. Signed-in users get the result
+// saved as their scent profile (see GET /api/quiz/profile).
+app.post('/api/quiz/recommend', optionalAuthMiddleware, async (c) => {
+  try {
+    const { answers, limit } = await c.req.json()
+    if (!answers || typeof answers !== 'object') return c.json({ error: 'answers are required' }, 400)
+    const quiz = await loadQuiz(c)
+    const result = await recommendFromQuiz(c, quiz, answers)
+    if (!result) return c.json({ error: 'Answer at least one question' }, 400)
+    const products = result.products.slice(0, Math.min(Math.max(parseInt(limit) || 12, 1), 50))
+    const user = c.get('user')
+    if (user) {
+      const matches = result.products.slice(0, QUIZ_TOP_MATCHES).map(p => ({ id: p.id, match_percent: p.match_percent, why: p.why }))
+      await c.env.DB.prepare(
+        `INSERT INTO quiz_profiles (user_id, answers, profile, matches, updated_at) VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+         ON CONFLICT(user_id) DO UPDATE SET answers = excluded.answers, profile = excluded.profile, matches = excluded.matches, updated_at = CURRENT_TIMESTAMP`
+      ).bind(user.id, JSON.stringify(answers), JSON.stringify(result.profile), JSON.stringify(matches)).run()
+    }
+    return c.json({ profile: result.profile, products, saved: !!user })
+  } catch (err) { return c.json({ error: 'Failed to score quiz', details: err.message }, 500) }
+})
+
+app.get('/api/quiz/profile', authMiddleware, async (c) => {
+  try {
+    const row = await c.env.DB.prepare('SELECT * FROM quiz_profiles WHERE user_id = ?').bind(c.get('user').id).first()
+    if (!row) return c.json({ profile: null })
+    const matches = JSON.parse(row.matches)
+    const ids = matches.map(m => m.id)
+    const { results } = ids.length
+      ? await c.env.DB.prepare(`SELECT p.*, ${EFFECTIVE_PRICE} AS final_price FROM products p WHERE p.id IN (${ids.map(() => '?').join(',')})`).bind(...ids).all()
+      : { results: [] }
+    return c.json({
+      profile: {
+        ...JSON.parse(row.profile),
+        answers: JSON.parse(row.answers),
+        updated_at: row.updated_at,
+        // Products deleted since the quiz was taken are dropped.
+        matches: matches.map(m => ({ ...results.find(p => p.id === m.id), ...m })).filter(m => m.name),
+      },
+    })
+  } catch (err) { return c.json({ error: 'Failed to fetch scent profile', details: err.message }, 500) }
+})
+
+// DISCOUNTS — evaluateDiscount() is the only place a code is judged and priced; both
+// /api/discount/validate and /api/checkout go through it. `stacking` decides how a code combines
+// with a product's own discount_percent:
+//   stack        — the code applies to the sale price
+//   exclude_sale — lines already on sale are not eligible
+//   best_of      — the code is worked out on the full price of eligible lines, and the customer
+//                  gets whichever is larger: that or the sale savings they already have
+const DISCOUNT_STACKING = ['stack', 'exclude_sale', 'best_of']
+
+function discountScope(discount) {
+  try { return discount.scope ? JSON.parse(discount.scope) : null } catch { return null }
+}
+
+// A line is in scope when the code has no scope or the line matches any listed product, mood or gender.
+function inDiscountScope(scope, line) {
+  if (!scope) return true
+  const { products = [], moods = [], genders = [] } = scope
+  if (!products.length && !moods.length && !genders.length) return true
+  return products.includes(line.product_id) || moods.includes(line.scent_mood) || genders.includes(line.gender)
+}
+
+// Returns { discount, discount_amount, eligible_subtotal, message } or { error, status }.
+// `lines` come from priceCartItems(); `user` is required for per-customer and first-order codes.
+async function evaluateDiscount(c, code, { lines, subtotal, user }) {
+  const discount = await c.env.DB.prepare(
+    "SELECT *, (starts_at IS NOT NULL AND starts_at > datetime('now')) AS not_started, (ends_at IS NOT NULL AND ends_at <= datetime('now')) AS ended FROM discount_codes WHERE code = ? AND active = 1"
+  ).bind(String(code).trim().toUpperCase()).first()
+  if (!discount || discount.ended) return { error: 'Invalid or expired discount code', status: 404 }
+  if (discount.not_started) return { error: 'This discount code is not active yet', status: 400 }
+  if (discount.usage_limit && discount.used_count >= discount.usage_limit) return { error: 'This discount code has been fully used', status: 400 }
+  if (discount.min_order_amount && subtotal < discount.min_order_amount) return { error: `Minimum order amount is Rs. ${discount.min_order_amount}`, status: 400 }
+
+  if (discount.per_user_limit || discount.first_order_only) {
+    if (!user) return { error: 'Please sign in to use this discount code', status: 401 }
+    const [redeemed, orders] = await c.env.DB.batch([
+      c.env.DB.prepare('SELECT COUNT(*) AS count FROM discount_redemptions WHERE discount_id = ? AND user_id = ?').bind(discount.id, user.id),
+      c.env.DB.prepare("SELECT COUNT(*) AS count FROM orders WHERE user_email = ? AND status != 'cancelled'").bind(user.email),
+    ])
+    if (discount.per_user_limit && redeemed.results[0].count >= discount.per_user_limit) return { error: "You've already used this discount code", status: 400 }
+    if (discount.first_order_only && orders.results[0].count > 0) return { error: 'This discount code is for first orders only', status: 400 }
+  }
+
+  const scope = discountScope(discount)
+  const eligible = lines.filter(l => inDiscountScope(scope, l) && !(discount.stacking === 'exclude_sale' && l.discount_percent > 0))
+  if (!eligible.length) {
+    return { error: discount.stacking === 'exclude_sale' && lines.some(l => inDiscountScope(scope, l)) ? 'This discount code cannot be used on sale items' : "This discount code doesn't apply to the items in your cart", status: 400 }
+  }
+  const bestOf = discount.stacking === 'best_of'
+  const eligible_subtotal = eligible.reduce((sum, l) => sum + (bestOf ? l.list_price : l.unit_price) * l.quantity, 0)
+  let amount = discount.type === 'percentage' ? Math.round(eligible_subtotal * discount.value / 100) : discount.value
+  if (discount.type === 'percentage' && discount.max_discount) amount = Math.min(amount, discount.max_discount)
+  if (bestOf) amount -= eligible.reduce((sum, l) => sum + (l.list_price - l.unit_price) * l.quantity, 0)
+  if (amount <= 0) return { error: 'Your sale prices already beat this discount code', status: 400 }
+  const discount_amount = Math.min(amount, eligible_subtotal, subtotal)
+
+  return {
+    discount,
+    discount_amount,
+    eligible_subtotal,
+    message: discount.type === 'percentage' ? `${discount.value}% off applied!` : `Rs. ${discount.value} off applied!`,
+  }
+}
+
+// DISCOUNT VALIDATE (public; signed-in shoppers are checked against per-customer rules)
+// Body: { code, items: [{ id, quantity }] } — or the older { code, cart_total }, which only works
+// for codes that cover the whole cart.
+app.post('/api/discount/validate', optionalAuthMiddleware, async (c) => {
   try {
-    const { code, cart_total } = await c.req.json()
+    const { code, items, cart_total } = await c.req.json()
     if (!code) return c.json({ error: 'Discount code required' }, 400)
-    const discount = await c.env.DB.prepare('SELECT * FROM discount_codes WHERE code = ? AND active = 1').bind(code.toUpperCase()).first()
-    if (!discount) return c.json({ error: 'Invalid or expired discount code' }, 404)
-    if (discount.min_order_amount && cart_total < discount.min_order_amount) return c.json({ error: `Minimum order amount is Rs. ${discount.min_order_amount}` }, 400)
-    if (discount.usage_limit && discount.used_count >= discount.usage_limit) return c.json({ error: 'This discount code has been fully used' }, 400)
-    const discount_amount = discount.type === 'percentage' ? Math.round(cart_total * discount.value / 100) : discount.value
-    return c.json({ success: true, code: discount.code, type: discount.type, value: discount.value, discount_amount, final_total: cart_total - discount_amount, message: discount.type === 'percentage' ? `${discount.value}% off applied!` : `Rs. ${discount.value} off applied!` })
+    let lines, subtotal
+    if (Array.isArray(items)) {
+      ({ lines, subtotal } = await priceCartItems(c, items))
+    } else {
+      subtotal = Number(cart_total) || 0
+      lines = [{ product_id: null, quantity: 1, unit_price: subtotal, list_price: subtotal, discount_percent: 0 }]
+    }
+    const result = await evaluateDiscount(c, code, { lines, subtotal, user: c.get('user') })
+    if (result.error) return c.json({ error: result.error }, result.status)
+    const { discount, discount_amount, message } = result
+    return c.json({ success: true, code: discount.code, type: discount.type, value: discount.value, discount_amount, final_total: subtotal - discount_amount, message })
   } catch (err) { return c.json({ error: 'Failed to validate code', details: err.message }, 500) }
 })
 
+// CART PRICING — re-prices every line from the products table (price, discount_percent, stock)
+// so nothing the browser sends about price or name is trusted. Duplicate lines are merged.
+async function priceCartItems(c, items) {
+  const quantities = new Map()
+  for (const item of items) {
+    const id = parseInt(item.id)
+    const qty = parseInt(item.quantity)
+    quantities.set(id, (quantities.get(id) || 0) + (Number.isFinite(qty) ? qty : 0))
+  }
+  const ids = [...quantities.keys()].filter(Number.isFinite)
+  const { results } = ids.length
+    ? await c.env.DB.prepare(`SELECT * FROM products WHERE id IN (${ids.map(() => '?').join(',')})`).bind(...ids).all()
+    : { results: [] }
+  const byId = new Map(results.map(p => [p.id, p]))
+
+  const lines = []
+  const errors = []
+  for (const [id, quantity] of quantities) {
+    const product = byId.get(id)
+    if (!product) { errors.push({ product_id: id, error: 'Product is no longer available' }); continue }
+    if (quantity < 1) { errors.push({ product_id: id, name: product.name, error: 'Quantity must be at least 1' }); continue }
+    const stock = product.stock ?? 0
+    if (stock <= 0) { errors.push({ product_id: id, name: product.name, error: 'Out of stock', available: 0 }); continue }
+    if (quantity > stock) { errors.push({ product_id: id, name: product.name, error: `Only ${stock} left in stock`, available: stock }); continue }
+    const unit_price = Math.round(product.price * (1 - (product.discount_percent || 0) / 100))
+    lines.push({
+      product_id: id, name: product.name, scent_mood: product.scent_mood, gender: product.gender,
+      quantity, list_price: product.price, discount_percent: product.discount_percent || 0, unit_price, line_total: unit_price * quantity,
+    })
+  }
+  return { lines, errors, subtotal: lines.reduce((sum, l) => sum + l.line_total, 0) }
+}
+
+// CART & WISHLIST — a signed-in shopper's cart lives in cart_items; the localStorage cart is
+// only used by guests and as a mirror for the badge count. price_seen / name_seen record what the
+// shopper last saw, so every read can report price changes and products deleted since.
+const CART_MAX_QUANTITY = 99
+
+// Accepts [{ id | product_id, quantity }] and returns valid { product_id, quantity } pairs, merged.
+function cartInput(items) {
+  const quantities = new Map()
+  for (const item of Array.isArray(items) ? items : []) {
+    const id = parseInt(item?.product_id ?? item?.id)
+    const qty = parseInt(item?.quantity)
+    if (!Number.isFinite(id) || !Number.isFinite(qty) || qty < 1) continue
+    quantities.set(id, Math.min((quantities.get(id) || 0) + qty, CART_MAX_QUANTITY))
+  }
+  return [...quantities].map(([product_id, quantity]) => ({ product_id, quantity }))
+}
+
+// Unknown product ids are skipped by the SELECT. A line already in the cart keeps the larger of
+// the two quantities, so merging the same local cart twice does not double it.
+function mergeCartStmts(c, user_id, items) {
+  return cartInput(items).map(({ product_id, quantity }) => c.env.DB.prepare(
+    `INSERT INTO cart_items (user_id, product_id, quantity, price_seen, name_seen)
+     SELECT ?, p.id, ?, ${EFFECTIVE_PRICE}, p.name FROM products p WHERE p.id = ?
+     ON CONFLICT(user_id, product_id) DO UPDATE SET quantity = MAX(quantity, excluded.quantity), updated_at = CURRENT_TIMESTAMP`
+  ).bind(user_id, quantity, product_id))
+}
+
+// Returns { items, count, subtotal, changes: { price_changed, removed, stock_short } }.
+// Reported price changes and removed products are acknowledged, so each is reported once.
+async function cartView(c, user_id) {
+  const { results } = await c.env.DB.prepare(
+    `SELECT ci.product_id, ci.quantity, ci.price_seen, ci.name_seen, p.id AS found, p.name, p.image, p.scent_mood, p.scent_notes,
+            p.price, p.discount_percent, p.stock, ${EFFECTIVE_PRICE} AS unit_price
+     FROM cart_items ci LEFT JOIN products p ON p.id = ci.product_id
+     WHERE ci.user_id = ? ORDER BY ci.created_at, ci.product_id`
+  ).bind(user_id).all()
+  const items = []
+  const changes = { price_changed: [], removed: [], stock_short: [] }
+  const acknowledge = []
+  for (const r of results) {
+    if (!r.found) {
+      changes.removed.push({ product_id: r.product_id, name: r.name_seen })
+      acknowledge.push(c.env.DB.prepare('DELETE FROM cart_items WHERE user_id = ? AND product_id = ?').bind(user_id, r.product_id))
+      continue
+    }
+    if (r.price_seen !== r.unit_price) {
+      changes.price_changed.push({ product_id: r.product_id, name: r.name, old_price: r.price_seen, new_price: r.unit_price })
+      acknowledge.push(c.env.DB.prepare('UPDATE cart_items SET price_seen = ?, name_seen = ? WHERE user_id = ? AND product_id = ?').bind(r.unit_price, r.name, user_id, r.product_id))
+    }
+    const stock = Math.max(r.stock ?? 0, 0)
+    if (r.quantity > stock) changes.stock_short.push({ product_id: r.product_id, name: r.name, requested: r.quantity, available: stock })
+    items.push({
+      id: r.product_id, name: r.name, image: r.image, scent_mood: r.scent_mood, scent_notes: r.scent_notes,
+      price: r.price, discount_percent: r.discount_percent, stock, unit_price: r.unit_price,
+      quantity: r.quantity, line_total: r.unit_price * r.quantity,
+    })
+  }
+  if (acknowledge.length) await c.env.DB.batch(acknowledge)
+  return {
+    items,
+    count: items.reduce((sum, i) => sum + i.quantity, 0),
+    subtotal: items.reduce((sum, i) => sum + i.line_total, 0),
+    changes,
+  }
+}
+
+app.get('/api/cart', authMiddleware, async (c) => {
+  try {
+    return c.json(await cartView(c, c.get('user').id))
+  } catch (err) { return c.json({ error: 'Failed to fetch cart', details: err.message }, 500) }
+})
+
+// Replaces the whole cart with { items }.
+app.put('/api/cart', authMiddleware, async (c) => {
+  try {
+    const { items } = await c.req.json()
+    if (!Array.isArray(items)) return c.json({ error: 'items must be a list' }, 400)
+    const user_id = c.get('user').id
+    await c.env.DB.batch([
+      c.env.DB.prepare('DELETE FROM cart_items WHERE user_id = ?').bind(user_id),
+      ...mergeCartStmts(c, user_id, items),
+    ])
+    return c.json(await cartView(c, user_id))
+  } catch (err) { return c.json({ error: 'Failed to save cart', details: err.message }, 500) }
+})
+
+// Folds a guest cart from this device into the server cart (see mergeCartStmts).
+app.post('/api/cart/merge', authMiddleware, async (c) => {
+  try {
+    const { items } = await c.req.json()
+    const user_id = c.get('user').id
+    const stmts = mergeCartStmts(c, user_id, items)
+    if (stmts.length) await c.env.DB.batch(stmts)
+    return c.json(await cartView(c, user_id))
+  } catch (err) { return c.json({ error: 'Failed to merge cart', details: err.message }, 500) }
+})
+
+// Body: { quantity } sets the line, { add } adds to it (creating it if needed). quantity 0 removes it.
+app.patch('/api/cart/:product_id', authMiddleware, async (c) => {
+  try {
+    const product_id = parseInt(c.req.param('product_id'))
+    const { quantity, add } = await c.req.json()
+    const user_id = c.get('user').id
+    const product = await c.env.DB.prepare(`SELECT p.id, p.name, ${EFFECTIVE_PRICE} AS unit_price FROM products p WHERE p.id = ?`).bind(product_id).first()
+    if (!product) return c.json({ error: 'Product not found' }, 404)
+    const line = await c.env.DB.prepare('SELECT quantity FROM cart_items WHERE user_id = ? AND product_id = ?').bind(user_id, product_id).first()
+    const next = add !== undefined ? (line?.quantity || 0) + parseInt(add) : parseInt(quantity)
+    if (!Number.isFinite(next) || next < 0) return c.json({ error: 'quantity must be 0 or more' }, 400)
+    if (next === 0) {
+      await c.env.DB.prepare('DELETE FROM cart_items WHERE user_id = ? AND product_id = ?').bind(user_id, product_id).run()
+    } else {
+      await c.env.DB.prepare(
+        `INSERT INTO cart_items (user_id, product_id, quantity, price_seen, name_seen) VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT(user_id, product_id) DO UPDATE SET quantity = excluded.quantity, updated_at = CURRENT_TIMESTAMP`
+      ).bind(user_id, product_id, Math.min(next, CART_MAX_QUANTITY), product.unit_price, product.name).run()
+    }
+    return c.json(await cartView(c, user_id))
+  } catch (err) { return c.json({ error: 'Failed to update cart', details: err.message }, 500) }
+})
+
+app.delete('/api/cart/:product_id', authMiddleware, async (c) => {
+  try {
+    const user_id = c.get('user').id
+    await c.env.DB.prepare('DELETE FROM cart_items WHERE user_id = ? AND product_id = ?').bind(user_id, c.req.param('product_id')).run()
+    return c.json(await cartView(c, user_id))
+  } catch (err) { return c.json({ error: 'Failed to update cart', details: err.message }, 500) }
+})
+
+app.delete('/api/cart', authMiddleware, async (c) => {
+  try {
+    const user_id = c.get('user').id
+    await c.env.DB.prepare('DELETE FROM cart_items WHERE user_id = ?').bind(user_id).run()
+    return c.json(await cartView(c, user_id))
+  } catch (err) { return c.json({ error: 'Failed to clear cart', details: err.message }, 500) }
+})
+
+app.get('/api/wishlist', authMiddleware, async (c) => {
+  try {
+    const { results } = await c.env.DB.prepare(
+      `SELECT p.*, ${EFFECTIVE_PRICE} AS final_price, w.created_at AS added_at
+       FROM wishlist_items w JOIN products p ON p.id = w.product_id
+       WHERE w.user_id = ? ORDER BY w.created_at DESC`
+    ).bind(c.get('user').id).all()
+    return c.json({ products: results })
+  } catch (err) { return c.json({ error: 'Failed to fetch wishlist', details: err.message }, 500) }
+})
+
+app.put('/api/wishlist/:product_id', authMiddleware, async (c) => {
+  try {
+    const result = await c.env.DB.prepare('INSERT OR IGNORE INTO wishlist_items (user_id, product_id) SELECT ?, id FROM products WHERE id = ?')
+      .bind(c.get('user').id, c.req.param('product_id')).run()
+    if (!result.meta.changes) {
+      const exists = await c.env.DB.prepare('SELECT id FROM products WHERE id = ?').bind(c.req.param('product_id')).first()
+      if (!exists) return c.json({ error: 'Product not found' }, 404)
+    }
+    return c.json({ success: true })
+  } catch (err) { return c.json({ error: 'Failed to update wishlist', details: err.message }, 500) }
+})
+
+app.delete('/api/wishlist/:product_id', authMiddleware, async (c) => {
+  try {
+    await c.env.DB.prepare('DELETE FROM wishlist_items WHERE user_id = ? AND product_id = ?').bind(c.get('user').id, c.req.param('product_id')).run()
+    return c.json({ success: true })
+  } catch (err) { return c.json({ error: 'Failed to update wishlist', details: err.message }, 500) }
+})
+
+// REVIEWS — verified purchases only: posting needs a delivered order containing the product,
+// found through order_items and orders.user_email (as /api/my-orders does). One review per
+// customer per product, shown once an admin approves it. products.rating_avg / rating_count hold
+// the approved reviews' figures so product listings need no join.
+const REVIEW_SCORES = ['rating', 'longevity', 'sillage', 'value'] // rating required, the rest optional
+const REVIEW_STATUSES = ['pending', 'approved', 'hidden']
+const REVIEW_MAX_LENGTH = 2000
+
+const refreshRatingStmt = (c, productId) => c.env.DB.prepare(
+  `UPDATE products SET
+     rating_avg = (SELECT ROUND(AVG(rating), 1) FROM reviews WHERE product_id = ?1 AND status = 'approved'),
+     rating_count = (SELECT COUNT(*) FROM reviews WHERE product_id = ?1 AND status = 'approved')
+   WHERE id = ?1`
+).bind(productId)
+
+const deliveredOrderFor = (c, email, productId) => c.env.DB.prepare(
+  "SELECT o.id FROM orders o JOIN order_items oi ON oi.order_id = o.id WHERE o.user_email = ? AND oi.product_id = ? AND o.status = 'delivered' ORDER BY o.id LIMIT 1"
+).bind(email, productId).first()
+
+// Reviews are signed with a first name and last initial
+function reviewerName(name) {
+  const [first, ...rest] = (name || 'Customer').trim().split(/\s+/)
+  return rest.length ? `${first} ${rest.at(-1)[0].toUpperCase()}.` : first
+}
+
+function parseReview(input) {
+  const review = {}
+  for (const score of REVIEW_SCORES) {
+    const value = input[score]
+    if (value === undefined || value === null || value === '') {
+      if (score === 'rating') return { error: 'Please give a rating from 1 to 5' }
+      review[score] = null
+    } else if (!Number.isInteger(Number(value)) || value < 1 || value > 5) {
+      return { error: `${score} must be a whole number from 1 to 5` }
+    } else review[score] = Number(value)
+  }
+  review.title = String(input.title ?? '').trim().slice(0, 120) || null
+  review.body = String(input.body ?? '').trim() || null
+  if (review.body?.length > REVIEW_MAX_LENGTH) return { error: `Reviews are limited to ${REVIEW_MAX_LENGTH} characters` }
+  return { review }
+}
+
+// Approved reviews, newest first, with the product's summary. Signed in, it also returns the
+// customer's own review whatever its status (`mine`) and whether they may post one (`can_review`).
+app.get('/api/products/:id/reviews', optionalAuthMiddleware, async (c) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(c.req.query('limit')) || 10, 1), 50)
+    const offset = Math.max(parseInt(c.req.query('offset')) || 0, 0)
+    const product = await c.env.DB.prepare('SELECT id FROM products WHERE id = ?').bind(c.req.param('id')).first()
+    if (!product) return c.json({ error: 'Product not found' }, 404)
+    const approved = "FROM reviews WHERE product_id = ? AND status = 'approved'"
+    const [page, summary, stars] = await c.env.DB.batch([
+      c.env.DB.prepare(
+        `SELECT r.id, r.rating, r.longevity, r.sillage, r.value, r.title, r.body, r.reply, r.replied_at, r.created_at, u.name
+         FROM reviews r JOIN users u ON u.id = r.user_id
+         WHERE r.product_id = ? AND r.status = 'approved' ORDER BY r.created_at DESC, r.id DESC LIMIT ? OFFSET ?`
+      ).bind(product.id, limit, offset),
+      c.env.DB.prepare(`SELECT COUNT(*) AS count, ROUND(AVG(rating), 1) AS average, ROUND(AVG(longevity), 1) AS longevity, ROUND(AVG(sillage), 1) AS sillage, ROUND(AVG(value), 1) AS value ${approved}`).bind(product.id),
+      c.env.DB.prepare(`SELECT rating, COUNT(*) AS count ${approved} GROUP BY rating`).bind(product.id),
+    ])
+    const stats = summary.results[0]
+    const user = c.get('user')
+    let mine = null, can_review = false
+    if (user) {
+      mine = await c.env.DB.prepare('SELECT id, rating, longevity, sillage, value, title, body, status, reply, created_at FROM reviews WHERE product_id = ? AND user_id = ?').bind(product.id, user.id).first()
+      can_review = !mine && !!await deliveredOrderFor(c, user.email, product.id)
+    }
+    return c.json({
+      reviews: page.results.map(({ name, ...r }) => ({ ...r, author: reviewerName(name), verified_purchase: true })),
+      summary: { ...stats, distribution: Object.fromEntries([5, 4, 3, 2, 1].map(n => [n, stars.results.find(s => s.rating === n)?.count || 0])) },
+      limit,
+      offset,
+      next_offset: offset + page.results.length < stats.count ? offset + page.results.length : null,
+      mine,
+      can_review,
+    })
+  } catch (err) { return c.json({ error: 'Failed to fetch reviews', details: err.message }, 500) }
+})
+
+app.post('/api/products/:id/reviews', authMiddleware, async (c) => {
+  try {
+    const user = c.get('user')
+    const product = await c.env.DB.prepare('SELECT id FROM products WHERE id = ?').bind(c.req.param('id')).first()
+    if (!product) return c.json({ error: 'Product not found' }, 404)
+    const parsed = parseReview(await c.req.json().catch(() => ({})))
+    if (parsed.error) return c.json({ error: parsed.error }, 400)
+    const order = await deliveredOrderFor(c, user.email, product.id)
+    if (!order) return c.json({ error: 'Only customers who have received this perfume can review it' }, 403)
+    const { rating, longevity, sillage, value, title, body } = parsed.review
+    const result = await c.env.DB.prepare(
+      'INSERT OR IGNORE INTO reviews (product_id, user_id, order_id, rating, longevity, sillage, value, title, body) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)'
+    ).bind(product.id, user.id, order.id, rating, longevity, sillage, value, title, body).run()
+    if (!result.meta.changes) return c.json({ error: 'You have already reviewed this perfume' }, 409)
+    return c.json({ success: true, id: result.meta.last_row_id, status: 'pending', message: 'Thank you! Your review will appear once it has been approved.' }, 201)
+  } catch (err) { return c.json({ error: 'Failed to save review', details: err.message }, 500) }
+})
+
+// ORDER LIFECYCLE — the statuses an order may move to from each status. Cancelling returns the
+// order's units to stock; delivered and cancelled are final. Every change is written to
+// order_status_history with who made it (admin, customer or system).
+const ORDER_TRANSITIONS = {
+  on_hold: ['confirmed', 'cancelled'], // high-risk orders, released or rejected from the risk queue
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['shipped', 'cancelled'],
+  shipped: ['delivered', 'cancelled'], // a refused COD parcel comes back as cancelled
+  delivered: [],
+  cancelled: [],
+}
+const CUSTOMER_CANCELLABLE = ['on_hold', 'pending', 'confirmed']
+
+// Moves an order from its current status (order.status) to `to` in one batch. The UPDATE only
+// matches while the order is still in that status, and each later statement runs only if the one
+// before it changed a row, so a concurrent change leaves everything untouched.
+// `note` is shown to the customer on their order timeline; extra.review_note, when set, is what
+// goes in the risk decision log instead.
+async function changeOrderStatus(c, order, to, actor, note, extra = {}) {
+  if (!(ORDER_TRANSITIONS[order.status] || []).includes(to)) {
+    return { error: `Cannot change a ${order.status} order to ${to}`, allowed: ORDER_TRANSITIONS[order.status] || [] }
+  }
+  const stmts = [
+    c.env.DB.prepare('UPDATE orders SET status = ?, courier = COALESCE(?, courier), tracking_number = COALESCE(?, tracking_number) WHERE id = ? AND status = ?')
+      .bind(to, extra.courier || null, extra.tracking_number || null, order.id, order.status),
+    c.env.DB.prepare('INSERT INTO order_status_history (order_id, from_status, to_status, actor_type, actor_id, note) SELECT ?, ?, ?, ?, ?, ? WHERE changes() = 1')
+      .bind(order.id, order.status, to, actor.type, actor.id ?? null, note || null),
+  ]
+  if (to === 'cancelled') {
+    stmts.push(c.env.DB.prepare(
+      'UPDATE products SET stock = stock + (SELECT SUM(quantity) FROM order_items WHERE order_id = ? AND product_id = products.id) WHERE id IN (SELECT product_id FROM order_items WHERE order_id = ?) AND changes() = 1'
+    ).bind(order.id, order.id))
+    // A cancelled order gives its discount use back. These run only when the order really is
+    // cancelled now, and deleting the redemption keeps them from running twice.
+    stmts.push(
+      c.env.DB.prepare("UPDATE discount_codes SET used_count = MAX(used_count - 1, 0) WHERE id IN (SELECT discount_id FROM discount_redemptions WHERE order_id = ?) AND (SELECT status FROM orders WHERE id = ?) = 'cancelled'").bind(order.id, order.id),
+      c.env.DB.prepare("DELETE FROM discount_redemptions WHERE order_id = ? AND (SELECT status FROM orders WHERE id = ?) = 'cancelled'").bind(order.id, order.id),
+    )
+  }
+  if (order.status === 'on_hold' && actor.type === 'admin') {
+    // Releasing or rejecting a held order is a risk decision; the log is what shows which rules
+    // end up approved and which rejected.
+    stmts.push(c.env.DB.prepare(
+      'INSERT INTO risk_decisions (order_id, action, actor_type, actor_id, score, note) SELECT id, ?, ?, ?, risk_score, ? FROM orders WHERE id = ? AND status = ?'
+    ).bind(to === 'cancelled' ? 'reject' : 'approve', actor.type, actor.id ?? null, extra.review_note ?? note ?? null, order.id, to))
+  }
+  const [update] = await c.env.DB.batch(stmts)
+  if (!update.meta.changes) return { error: 'The order was updated by someone else. Please refresh and try again.' }
+  return { success: true }
+}
+
+// Orders placed before status history existed get a synthetic "placed" entry.
+function orderTimeline(order, history) {
+  const timeline = history.map(h => ({ status: h.to_status, from: h.from_status, by: h.actor_type, note: h.note, at: h.created_at }))
+  if (!history.some(h => h.from_status === null)) timeline.unshift({ status: 'pending', from: null, by: 'customer', note: 'Order placed', at: order.created_at })
+  return timeline
+}
+
 // CHECKOUT (login required)
 app.post('/api/checkout', authMiddleware, async (c) => {
   try {
@@ -236,33 +1686,83 @@ app.post('/api/checkout', authMiddleware, async (c) => {
     const user = c.get('user')
     if (!items || !items.length) return c.json({ error: 'Cart is empty' }, 400)
     if (!full_name || !phone || !address) return c.json({ error: 'Name, phone, and address required' }, 400)
+    const account = await c.env.DB.prepare('SELECT email_verified_at FROM users WHERE id = ?').bind(user.id).first()
+    if (!account?.email_verified_at) return c.json({ error: 'Please confirm your email address before placing an order', code: 'EMAIL_UNVERIFIED' }, 403)
 
-    let total = items.reduce((sum, item) => sum + (item.price * item.quantity), 0)
+    const { lines, errors, subtotal } = await priceCartItems(c, items)
+    if (errors.length) return c.json({ error: 'Some items in your cart are unavailable', item_errors: errors }, 409)
+
+    let total = subtotal
     let discount_amount = 0
-    let applied_code = null
+    let discount = null
 
     if (discount_code) {
-      const discount = await c.env.DB.prepare('SELECT * FROM discount_codes WHERE code = ? AND active = 1').bind(discount_code.toUpperCase()).first()
-      if (discount) {
-        discount_amount = discount.type === 'percentage' ? Math.round(total * discount.value / 100) : discount.value
-        total = total - discount_amount
-        applied_code = discount.code
-        await c.env.DB.prepare('UPDATE discount_codes SET used_count = used_count + 1 WHERE code = ?').bind(discount.code).run()
-      }
+      const result = await evaluateDiscount(c, discount_code, { lines, subtotal, user })
+      if (result.error) return c.json({ error: result.error, code: 'DISCOUNT_REJECTED' }, result.status === 404 ? 400 : result.status)
+      ;({ discount, discount_amount } = result)
+      total = subtotal - discount_amount
     }
 
-    const items_summary = items.map(i => `${i.name} x${i.quantity}`).join(', ')
-    const risk = await calculateRiskScore(c, { phone, address, full_name, total })
-    const order = await c.env.DB.prepare(
-      'INSERT INTO orders (user_email, full_name, phone, address, total_amount, status, payment_method, gift_message, items_summary, risk_score, risk_reasons) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)'
-    ).bind(user.email, full_name, phone, address, total, 'pending', payment_method||'cod', gift_message||null, items_summary, risk.score, JSON.stringify(risk.reasons)).run()
+    const items_summary = lines.map(l => `${l.name} x${l.quantity}`).join(', ')
+    const device_id = (c.req.header('X-Device-Id') || '').slice(0, 64) || null
+    const risk = await calculateRiskScore(c, { phone, address, full_name, email: user.email, total, device_id })
+    const status = risk.hold ? 'on_hold' : 'pending'
+
+    // Everything below is one D1 batch (a single transaction). Each order_items row is inserted
+    // with a NULL quantity when stock has dropped since pricing, which trips the NOT NULL
+    // constraint and rolls the whole batch back instead of overselling.
+    const stmts = [
+      c.env.DB.prepare(
+        'INSERT INTO orders (user_email, full_name, phone, address, phone_key, address_key, total_amount, status, payment_method, gift_message, items_summary, risk_score, risk_reasons, device_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)'
+      ).bind(user.email, full_name, phone, address, phoneKey(phone), addressKey(address), total, status, payment_method||'cod', gift_message||null, items_summary, risk.score, JSON.stringify(risk.reasons), device_id)
+    ]
+    for (const h of risk.hits) {
+      stmts.push(c.env.DB.prepare('INSERT INTO order_risk_hits (order_id, rule, points) SELECT MAX(id), ?, ? FROM orders').bind(h.rule, h.points))
+    }
+    if (risk.hold) {
+      stmts.push(c.env.DB.prepare("INSERT INTO risk_decisions (order_id, action, actor_type, score, note) SELECT MAX(id), 'hold', 'system', ?, ? FROM orders").bind(risk.score, risk.reasons.join('; ')))
+    }
+    for (const l of lines) {
+      stmts.push(c.env.DB.prepare(
+        'INSERT INTO order_items (order_id, product_id, quantity, price) SELECT (SELECT MAX(id) FROM orders), id, CASE WHEN stock >= ? THEN ? END, ? FROM products WHERE id = ?'
+      ).bind(l.quantity, l.quantity, l.unit_price, l.product_id))
+      stmts.push(c.env.DB.prepare('UPDATE products SET stock = stock - ? WHERE id = ?').bind(l.quantity, l.product_id))
+    }
+    if (discount) {
+      // The usage_limit, per_user_limit and first_order_only checks are repeated inside the
+      // batch: if a parallel checkout took the last use since evaluateDiscount() ran, the NULL
+      // amount fails the insert and rolls the order back. The order just inserted above is
+      // MAX(id), so it doesn't count against first_order_only.
+      stmts.push(c.env.DB.prepare(
+        `INSERT INTO discount_redemptions (discount_id, user_id, order_id, amount)
+         SELECT id, ?, (SELECT MAX(id) FROM orders), CASE WHEN (usage_limit IS NULL OR used_count < usage_limit)
+           AND (COALESCE(per_user_limit, 0) = 0 OR (SELECT COUNT(*) FROM discount_redemptions WHERE discount_id = ? AND user_id = ?) < per_user_limit)
+           AND (COALESCE(first_order_only, 0) = 0 OR NOT EXISTS (SELECT 1 FROM orders WHERE user_email = ? AND status != 'cancelled' AND id < (SELECT MAX(id) FROM orders)))
+         THEN ? END FROM discount_codes WHERE id = ?`
+      ).bind(user.id, discount.id, user.id, user.email, discount_amount, discount.id))
+      stmts.push(c.env.DB.prepare('UPDATE discount_codes SET used_count = used_count + 1 WHERE id = ?').bind(discount.id))
+    }
+    stmts.push(c.env.DB.prepare("INSERT INTO order_status_history (order_id, from_status, to_status, actor_type, actor_id, note) SELECT MAX(id), NULL, ?, 'customer', ?, 'Order placed' FROM orders").bind(status, user.id))
+    stmts.push(c.env.DB.prepare('DELETE FROM cart_items WHERE user_id = ?').bind(user.id))
 
-    const order_id = order.meta.last_row_id
-    for (const item of items) {
-      await c.env.DB.prepare('INSERT INTO order_items (order_id, product_id, quantity, price) VALUES (?, ?, ?, ?)').bind(order_id, item.id, item.quantity, item.price).run()
+    let batch
+    try {
+      batch = await c.env.DB.batch(stmts)
+    } catch (err) {
+      if (/NOT NULL constraint failed: discount_redemptions\.amount/.test(err.message)) {
+        // Judge the code again so the customer hears which limit it hit
+        const result = await evaluateDiscount(c, discount_code, { lines, subtotal, user })
+        return c.json({ error: result.error || 'This discount code has been fully used', code: 'DISCOUNT_REJECTED' }, 400)
+      }
+      if (/NOT NULL constraint failed: order_items\.quantity/.test(err.message)) {
+        const { errors } = await priceCartItems(c, items)
+        return c.json({ error: 'Stock changed while placing your order', item_errors: errors }, 409)
+      }
+      throw err
     }
 
-    return c.json({ success: true, order_id, message: 'Order placed successfully!', discount_applied: applied_code, discount_amount, final_total: total })
+    const order_id = batch[0].meta.last_row_id
+    return c.json({ success: true, order_id, status, message: risk.hold ? "Order placed! We'll contact you to confirm it before it's processed." : 'Order placed successfully!', items: lines, subtotal, discount_applied: discount?.code || null, discount_amount, final_total: total })
   } catch (err) {
     return c.json({ error: 'Checkout failed', details: err.message }, 500)
   }
@@ -271,33 +1771,100 @@ app.post('/api/checkout', authMiddleware, async (c) => {
 app.get('/api/my-orders', authMiddleware, async (c) => {
   try {
     const user = c.get('user')
-    const { results } = await c.env.DB.prepare('SELECT * FROM orders WHERE user_email = ? ORDER BY created_at DESC').bind(user.email).all()
-    return c.json({ orders: results })
+    const { results } = await c.env.DB.prepare('SELECT * FROM orders WHERE user_email = ? ORDER BY created_at DESC, id DESC').bind(user.email).all()
+    return c.json({ orders: results.map(o => ({ ...o, can_cancel: CUSTOMER_CANCELLABLE.includes(o.status) })) })
   } catch (err) { return c.json({ error: 'Failed to fetch orders' }, 500) }
 })
 
+app.get('/api/my-orders/:id', authMiddleware, async (c) => {
+  try {
+    const order = await c.env.DB.prepare('SELECT * FROM orders WHERE id = ? AND user_email = ?').bind(c.req.param('id'), c.get('user').email).first()
+    if (!order) return c.json({ error: 'Order not found' }, 404)
+    const [items, history] = await c.env.DB.batch([
+      c.env.DB.prepare(
+        'SELECT oi.product_id, oi.quantity, oi.price, oi.quantity * oi.price AS line_total, p.name, p.image, p.scent_mood FROM order_items oi LEFT JOIN products p ON p.id = oi.product_id WHERE oi.order_id = ? ORDER BY oi.id'
+      ).bind(order.id),
+      c.env.DB.prepare('SELECT from_status, to_status, actor_type, note, created_at FROM order_status_history WHERE order_id = ? ORDER BY created_at, id').bind(order.id),
+    ])
+    return c.json({
+      order: { ...order, can_cancel: CUSTOMER_CANCELLABLE.includes(order.status) },
+      items: items.results,
+      timeline: orderTimeline(order, history.results),
+    })
+  } catch (err) { return c.json({ error: 'Failed to fetch order', details: err.message }, 500) }
+})
+
+app.post('/api/my-orders/:id/cancel', authMiddleware, async (c) => {
+  try {
+    const user = c.get('user')
+    const { reason } = await c.req.json().catch(() => ({}))
+    const order = await c.env.DB.prepare('SELECT id, status FROM orders WHERE id = ? AND user_email = ?').bind(c.req.param('id'), user.email).first()
+    if (!order) return c.json({ error: 'Order not found' }, 404)
+    if (!CUSTOMER_CANCELLABLE.includes(order.status)) return c.json({ error: `This order is ${order.status} and can no longer be cancelled` }, 409)
+    const result = await changeOrderStatus(c, order, 'cancelled', { type: 'customer', id: user.id }, reason?.trim() || 'Cancelled by customer')
+    if (result.error) return c.json(result, 409)
+    return c.json({ success: true, message: `Order #${order.id} has been cancelled` })
+  } catch (err) { return c.json({ error: 'Failed to cancel order', details: err.message }, 500) }
+})
+
 // ADMIN - PRODUCTS
+// Stock is what checkout sells against, so 0 (sold out) must survive an edit; a new product
+// without a stock figure starts at 100.
+const validStock = stock => Number.isInteger(stock) && stock >= 0
+const STOCK_ERROR = 'Stock must be a whole number, 0 or more'
+
 app.get('/api/admin/products', adminMiddleware, async (c) => {
   try {
     const { results } = await c.env.DB.prepare('SELECT * FROM products ORDER BY created_at DESC').all()
-    return c.json({ products: results })
+    const images = await productImages(c, results.map(p => p.id))
+    return c.json({ products: results.map(p => ({ ...p, images: images.get(p.id) })) })
   } catch (err) { return c.json({ error: 'Failed to fetch products' }, 500) }
 })
 
 app.post('/api/admin/product', adminMiddleware, async (c) => {
   try {
-    const { name, description, price, image, scent_mood, scent_notes, stock, featured, gender, discount_percent } = await c.req.json()
+    const { name, description, price, image, scent_mood, scent_notes, notes, stock, featured, gender, discount_percent, images } = await c.req.json()
     if (!name || !price || !scent_mood) return c.json({ error: 'Name, price, and scent mood required' }, 400)
-    const result = await c.env.DB.prepare('INSERT INTO products (name, description, price, image, scent_mood, scent_notes, stock, featured, gender, discount_percent) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)').bind(name, description||'', price, image||'', scent_mood, scent_notes||'', stock||100, featured?1:0, gender||'', discount_percent||0).run()
-    return c.json({ success: true, id: result.meta.last_row_id }, 201)
+    if (stock !== undefined && !validStock(stock)) return c.json({ error: STOCK_ERROR }, 400)
+    const parsed = parseScentNotes(scent_notes, notes)
+    const notesText = notes ? parsed.map(n => n.name).join(', ') : scent_notes||''
+    // A new product has no gallery yet, so only unattached uploads can be listed
+    const check = await productGallery(c, 0, images)
+    if (check.error) return c.json({ error: check.error }, 400)
+    const result = await c.env.DB.prepare('INSERT INTO products (name, description, price, image, scent_mood, scent_notes, stock, featured, gender, discount_percent) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)').bind(name, description||'', price, image||'', scent_mood, notesText, stock ?? 100, featured?1:0, gender||'', discount_percent||0).run()
+    const id = result.meta.last_row_id
+    const gallery = await productGallery(c, id, images)
+    await c.env.DB.batch([...syncProductNotesStmts(c, id, parsed), ...(gallery.stmts || [])])
+    return c.json({ success: true, id }, 201)
   } catch (err) { return c.json({ error: 'Failed to add product', details: err.message }, 500) }
 })
 
 app.put('/api/admin/product/:id', adminMiddleware, async (c) => {
   try {
     const id = c.req.param('id')
-    const { name, description, price, image, scent_mood, scent_notes, stock, featured, gender, discount_percent } = await c.req.json()
-    await c.env.DB.prepare('UPDATE products SET name=?, description=?, price=?, image=?, scent_mood=?, scent_notes=?, stock=?, featured=?, gender=?, discount_percent=? WHERE id=?').bind(name, description, price, image, scent_mood, scent_notes, stock, featured?1:0, gender||'', discount_percent||0, id).run()
+    const { name, description, price, image, scent_mood, scent_notes, notes, stock, featured, gender, discount_percent, images } = await c.req.json()
+    if (stock !== undefined && !validStock(stock)) return c.json({ error: STOCK_ERROR }, 400)
+    const gallery = await productGallery(c, id, images)
+    if (gallery.error) return c.json({ error: gallery.error }, 400)
+    // A field left out of the body keeps its current value (D1 cannot bind undefined)
+    const notesGiven = scent_notes !== undefined || !!notes
+    const parsed = notesGiven ? parseScentNotes(scent_notes, notes) : []
+    const fields = {
+      name, description, price, image, scent_mood, stock,
+      scent_notes: notesGiven ? (notes ? parsed.map(n => n.name).join(', ') : scent_notes || '') : undefined,
+      featured: featured === undefined ? undefined : featured ? 1 : 0,
+      gender: gender === undefined ? undefined : gender || '',
+      discount_percent: discount_percent === undefined ? undefined : discount_percent || 0,
+    }
+    const set = Object.entries(fields).filter(([, value]) => value !== undefined)
+    // The gallery's cover (if any) overrides the image URL field, so it runs after the UPDATE
+    const stmts = [
+      ...(set.length ? [c.env.DB.prepare(`UPDATE products SET ${set.map(([col]) => `${col} = ?`).join(', ')} WHERE id = ?`).bind(...set.map(([, value]) => value), id)] : []),
+      ...(notesGiven ? syncProductNotesStmts(c, id, parsed) : []),
+      ...gallery.stmts,
+    ]
+    if (stmts.length) await c.env.DB.batch(stmts)
+    if (gallery.removed.length) await deleteImageObjects(c, gallery.removed)
     return c.json({ success: true })
   } catch (err) { return c.json({ error: 'Failed to update product', details: err.message }, 500) }
 })
@@ -305,8 +1872,17 @@ app.put('/api/admin/product/:id', adminMiddleware, async (c) => {
 app.delete('/api/admin/product/:id', adminMiddleware, async (c) => {
   try {
     const id = c.req.param('id')
-    await c.env.DB.prepare('DELETE FROM order_items WHERE product_id = ?').bind(id).run()
-    await c.env.DB.prepare('DELETE FROM products WHERE id = ?').bind(id).run()
+    const { results: images } = await c.env.DB.prepare('SELECT key FROM product_images WHERE product_id = ?').bind(id).all()
+    await c.env.DB.batch([
+      c.env.DB.prepare('DELETE FROM product_images WHERE product_id = ?').bind(id),
+      c.env.DB.prepare('DELETE FROM order_items WHERE product_id = ?').bind(id),
+      c.env.DB.prepare('DELETE FROM product_notes WHERE product_id = ?').bind(id),
+      c.env.DB.prepare('DELETE FROM reviews WHERE product_id = ?').bind(id),
+      c.env.DB.prepare('DELETE FROM wishlist_items WHERE product_id = ?').bind(id), // cart lines stay so the next cart read can report the removal
+      c.env.DB.prepare('DELETE FROM products WHERE id = ?').bind(id),
+    ])
+    // Only once no row points at them; objects left behind by a failure here are merely unused
+    if (images.length) await deleteImageObjects(c, images.map(r => r.key))
     return c.json({ success: true })
   } catch (err) { return c.json({ error: 'Failed to delete product', details: err.message }, 500) }
 })
@@ -314,18 +1890,26 @@ app.delete('/api/admin/product/:id', adminMiddleware, async (c) => {
 // ADMIN - ORDERS
 app.get('/api/admin/orders', adminMiddleware, async (c) => {
   try {
-    const { results } = await c.env.DB.prepare('SELECT * FROM orders ORDER BY created_at DESC').all()
-    return c.json({ orders: results })
+    const [{ results }, { settings }] = await Promise.all([
+      c.env.DB.prepare('SELECT * FROM orders ORDER BY created_at DESC, id DESC').all(),
+      loadRiskConfig(c),
+    ])
+    return c.json({ orders: results.map(o => ({ ...o, risk_level: riskLevel(o.risk_score || 0, settings), next_statuses: ORDER_TRANSITIONS[o.status] || [] })) })
   } catch (err) { return c.json({ error: 'Failed to fetch orders', details: err.message }, 500) }
 })
 
+// Body: { status, note?, courier?, tracking_number? } — courier and tracking number are required
+// when marking an order shipped.
 app.put('/api/admin/order/:id/status', adminMiddleware, async (c) => {
   try {
     const id = c.req.param('id')
-    const { status } = await c.req.json()
-    const valid = ['pending','confirmed','shipped','delivered','cancelled']
-    if (!valid.includes(status)) return c.json({ error: 'Invalid status' }, 400)
-    await c.env.DB.prepare('UPDATE orders SET status = ? WHERE id = ?').bind(status, id).run()
+    const { status, note, courier, tracking_number } = await c.req.json()
+    if (!ORDER_TRANSITIONS[status]) return c.json({ error: 'Invalid status' }, 400)
+    const order = await c.env.DB.prepare('SELECT id, status FROM orders WHERE id = ?').bind(id).first()
+    if (!order) return c.json({ error: 'Order not found' }, 404)
+    if (status === 'shipped' && (!courier?.trim() || !tracking_number?.trim())) return c.json({ error: 'Courier and tracking number are required to ship an order' }, 400)
+    const result = await changeOrderStatus(c, order, status, { type: 'admin', id: c.get('user').id }, note, { courier: courier?.trim(), tracking_number: tracking_number?.trim() })
+    if (result.error) return c.json(result, 409)
     return c.json({ success: true, message: `Order #${id} updated to ${status}` })
   } catch (err) { return c.json({ error: 'Failed to update order status', details: err.message }, 500) }
 })
@@ -340,39 +1924,510 @@ app.get('/api/admin/stats', adminMiddleware, async (c) => {
   } catch (err) { return c.json({ error: 'Failed to fetch stats' }, 500) }
 })
 
+// ADMIN - ANALYTICS
+// Ranges are whole UTC days: ?from=YYYY-MM-DD&to=YYYY-MM-DD (default: the last 30 days).
+// Revenue is the total of orders that weren't cancelled; the cancellation rate is over all orders.
+const ANALYTICS_BUCKETS = {
+  day: col => `date(${col})`,
+  week: col => `date(${col}, '-' || ((CAST(strftime('%w', ${col}) AS INTEGER) + 6) % 7) || ' days')`, // weeks start on Monday
+  month: col => `strftime('%Y-%m-01', ${col})`,
+}
+const ANALYTICS_MAX_BUCKETS = 400
+
+function analyticsRange(query) {
+  const isDate = v => /^\d{4}-\d{2}-\d{2}$/.test(v || '') && !isNaN(Date.parse(v))
+  const today = new Date().toISOString().slice(0, 10)
+  const to = isDate(query.to) ? query.to : today
+  const from = isDate(query.from) ? query.from : new Date(Date.parse(to) - 29 * 86400000).toISOString().slice(0, 10)
+  if (from > to) return { error: '`from` must be on or before `to`' }
+  // SQL bounds: created_at >= from AND created_at < the day after `to`
+  return { from, to, until: new Date(Date.parse(to) + 86400000).toISOString().slice(0, 10) }
+}
+
+// Every bucket start between from and to, so days without orders still appear.
+function analyticsBuckets(from, to, granularity) {
+  const buckets = []
+  const d = new Date(from + 'T00:00:00Z')
+  if (granularity === 'week') d.setUTCDate(d.getUTCDate() - (d.getUTCDay() + 6) % 7)
+  if (granularity === 'month') d.setUTCDate(1)
+  while (d.toISOString().slice(0, 10) <= to && buckets.length <= ANALYTICS_MAX_BUCKETS) {
+    buckets.push(d.toISOString().slice(0, 10))
+    if (granularity === 'day') d.setUTCDate(d.getUTCDate() + 1)
+    else if (granularity === 'week') d.setUTCDate(d.getUTCDate() + 7)
+    else d.setUTCMonth(d.getUTCMonth() + 1)
+  }
+  return buckets
+}
+
+app.get('/api/admin/analytics', adminMiddleware, async (c) => {
+  try {
+    const query = c.req.query()
+    const range = analyticsRange(query)
+    if (range.error) return c.json({ error: range.error }, 400)
+    const granularity = query.granularity || 'day'
+    if (!ANALYTICS_BUCKETS[granularity]) return c.json({ error: 'granularity must be day, week or month' }, 400)
+    const bucketStarts = analyticsBuckets(range.from, range.to, granularity)
+    if (bucketStarts.length > ANALYTICS_MAX_BUCKETS) return c.json({ error: `That range has more than ${ANALYTICS_MAX_BUCKETS} ${granularity}s; pick a larger granularity` }, 400)
+    const lowStock = Math.max(parseInt(query.low_stock) || 5, 0)
+    const { from, until } = range
+    const bucket = ANALYTICS_BUCKETS[granularity]('o.created_at')
+    const inRange = 'o.created_at >= ? AND o.created_at < ?'
+    // An order is a customer's first if no earlier order of theirs went through.
+    const isFirst = "NOT EXISTS (SELECT 1 FROM orders e WHERE e.user_email = o.user_email AND e.id < o.id AND e.status != 'cancelled')"
+
+    const [series, products, moods, discounts, customers, stock, totals] = await c.env.DB.batch([
+      c.env.DB.prepare(
+        `SELECT ${bucket} AS bucket, COUNT(*) AS orders, SUM(o.status = 'cancelled') AS cancelled,
+          COALESCE(SUM(CASE WHEN o.status != 'cancelled' THEN o.total_amount END), 0) AS revenue,
+          SUM(o.status != 'cancelled' AND ${isFirst}) AS new_customer_orders,
+          SUM(o.status != 'cancelled' AND NOT ${isFirst}) AS returning_customer_orders
+        FROM orders o WHERE ${inRange} GROUP BY bucket`
+      ).bind(from, until),
+      c.env.DB.prepare(
+        `SELECT oi.product_id, COALESCE(p.name, 'Deleted product #' || oi.product_id) AS name, p.scent_mood, SUM(oi.quantity) AS units, SUM(oi.quantity * oi.price) AS revenue
+        FROM order_items oi JOIN orders o ON o.id = oi.order_id LEFT JOIN products p ON p.id = oi.product_id
+        WHERE ${inRange} AND o.status != 'cancelled' GROUP BY oi.product_id ORDER BY revenue DESC`
+      ).bind(from, until),
+      c.env.DB.prepare(
+        `SELECT COALESCE(p.scent_mood, 'Unknown') AS mood, SUM(oi.quantity) AS units, SUM(oi.quantity * oi.price) AS revenue
+        FROM order_items oi JOIN orders o ON o.id = oi.order_id LEFT JOIN products p ON p.id = oi.product_id
+        WHERE ${inRange} AND o.status != 'cancelled' GROUP BY mood ORDER BY revenue DESC`
+      ).bind(from, until),
+      c.env.DB.prepare(
+        `SELECT d.code, d.type, d.value, COUNT(*) AS uses, COUNT(DISTINCT r.user_id) AS customers, SUM(r.amount) AS discount_given, SUM(o.total_amount) AS revenue
+        FROM discount_redemptions r JOIN orders o ON o.id = r.order_id JOIN discount_codes d ON d.id = r.discount_id
+        WHERE ${inRange} AND o.status != 'cancelled' GROUP BY d.id ORDER BY uses DESC`
+      ).bind(from, until),
+      c.env.DB.prepare(
+        `SELECT COUNT(DISTINCT CASE WHEN ${isFirst} THEN o.user_email END) AS new_customers,
+          COUNT(DISTINCT CASE WHEN NOT ${isFirst} THEN o.user_email END) AS returning_customers
+        FROM orders o WHERE ${inRange} AND o.status != 'cancelled'`
+      ).bind(from, until),
+      c.env.DB.prepare(
+        `SELECT p.id, p.name, p.stock,
+          (SELECT COALESCE(SUM(oi.quantity), 0) FROM order_items oi JOIN orders o ON o.id = oi.order_id
+            WHERE oi.product_id = p.id AND o.status != 'cancelled' AND o.created_at >= datetime('now', '-30 days')) AS sold_last_30_days
+        FROM products p WHERE p.stock <= ? ORDER BY p.stock, p.name`
+      ).bind(lowStock),
+      c.env.DB.prepare(
+        `SELECT COUNT(*) AS orders, COALESCE(SUM(o.status = 'cancelled'), 0) AS cancelled,
+          COALESCE(SUM(CASE WHEN o.status != 'cancelled' THEN o.total_amount END), 0) AS revenue
+        FROM orders o WHERE ${inRange}`
+      ).bind(from, until),
+    ])
+
+    const rate = (part, whole) => (whole ? Math.round(part / whole * 1000) / 10 : 0)
+    const summarise = r => {
+      const completed = r.orders - r.cancelled
+      return { revenue: r.revenue, orders: r.orders, average_order_value: completed ? Math.round(r.revenue / completed) : 0, cancellation_rate: rate(r.cancelled, r.orders) }
+    }
+    const byBucket = new Map(series.results.map(r => [r.bucket, r]))
+    const empty = { orders: 0, cancelled: 0, revenue: 0, new_customer_orders: 0, returning_customer_orders: 0 }
+    const t = totals.results[0]
+    const discountGiven = discounts.results.reduce((sum, d) => sum + d.discount_given, 0)
+
+    return c.json({
+      range: { from: range.from, to: range.to, granularity },
+      totals: { ...summarise(t), ...customers.results[0] },
+      series: bucketStarts.map(start => {
+        const r = byBucket.get(start) || empty
+        return { bucket: start, ...summarise(r), cancelled: r.cancelled, new_customer_orders: r.new_customer_orders, returning_customer_orders: r.returning_customer_orders }
+      }),
+      top_products: {
+        by_revenue: products.results.slice(0, 10),
+        by_units: [...products.results].sort((a, b) => b.units - a.units || b.revenue - a.revenue).slice(0, 10),
+      },
+      moods: moods.results,
+      discounts: {
+        codes: discounts.results,
+        orders_with_code: discounts.results.reduce((sum, d) => sum + d.uses, 0),
+        discount_given: discountGiven,
+        // Percent of gross sales (revenue plus code discounts) given away through codes
+        share_of_gross: rate(discountGiven, t.revenue + discountGiven),
+      },
+      low_stock: { threshold: lowStock, products: stock.results },
+    })
+  } catch (err) { return c.json({ error: 'Failed to build analytics', details: err.message }, 500) }
+})
+
+// CSV EXPORTS — same ?from&to range as analytics.
+const csvCell = v => {
+  if (v === null || v === undefined) return ''
+  const text = String(v)
+  // A leading = + - @ would run as a formula in a spreadsheet
+  const safe = /^[=+\-@\t\r]/.test(text) ? `'${text}` : text
+  return /[",\n\r]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe
+}
+const toCsv = rows => rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n'
+
+const CSV_EXPORTS = {
+  orders: {
+    columns: ['id', 'created_at', 'status', 'user_email', 'full_name', 'phone', 'address', 'payment_method', 'items_summary', 'discount_code', 'discount_amount', 'total_amount', 'risk_score', 'courier', 'tracking_number'],
+    sql: `SELECT o.*, d.code AS discount_code, r.amount AS discount_amount FROM orders o
+      LEFT JOIN discount_redemptions r ON r.order_id = o.id LEFT JOIN discount_codes d ON d.id = r.discount_id
+      WHERE o.created_at >= ? AND o.created_at < ? ORDER BY o.id`,
+  },
+  'order-items': {
+    columns: ['order_id', 'created_at', 'status', 'user_email', 'product_id', 'product_name', 'scent_mood', 'quantity', 'price', 'line_total'],
+    sql: `SELECT oi.order_id, o.created_at, o.status, o.user_email, oi.product_id, p.name AS product_name, p.scent_mood, oi.quantity, oi.price, oi.quantity * oi.price AS line_total
+      FROM order_items oi JOIN orders o ON o.id = oi.order_id LEFT JOIN products p ON p.id = oi.product_id
+      WHERE o.created_at >= ? AND o.created_at < ? ORDER BY oi.order_id, oi.id`,
+  },
+  // Customers who registered or ordered in the range, with their orders in the range
+  customers: {
+    columns: ['id', 'name', 'email', 'registered_at', 'orders', 'cancelled_orders', 'spent', 'first_order_at', 'last_order_at'],
+    sql: `SELECT u.id, u.name, u.email, u.created_at AS registered_at, COUNT(o.id) AS orders,
+        COALESCE(SUM(o.status = 'cancelled'), 0) AS cancelled_orders,
+        COALESCE(SUM(CASE WHEN o.status != 'cancelled' THEN o.total_amount END), 0) AS spent,
+        MIN(o.created_at) AS first_order_at, MAX(o.created_at) AS last_order_at
+      FROM users u LEFT JOIN orders o ON o.user_email = u.email AND o.created_at >= ?1 AND o.created_at < ?2
+      WHERE u.role = 'customer' GROUP BY u.id
+      HAVING COUNT(o.id) > 0 OR (u.created_at >= ?1 AND u.created_at < ?2) ORDER BY u.id`,
+  },
+}
+
+app.get('/api/admin/export/:kind{orders|order-items|customers}', adminMiddleware, async (c) => {
+  try {
+    const range = analyticsRange(c.req.query())
+    if (range.error) return c.json({ error: range.error }, 400)
+    const kind = c.req.param('kind')
+    const { columns, sql } = CSV_EXPORTS[kind]
+    const { results } = await c.env.DB.prepare(sql).bind(range.from, range.until).all()
+    return c.body(toCsv([columns, ...results.map(r => columns.map(col => r[col]))]), 200, {
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${kind}-${range.from}-to-${range.to}.csv"`,
+    })
+  } catch (err) { return c.json({ error: 'Failed to export', details: err.message }, 500) }
+})
+
 // ADMIN - DISCOUNTS
 app.get('/api/admin/discounts', adminMiddleware, async (c) => {
   try {
-    const { results } = await c.env.DB.prepare('SELECT * FROM discount_codes ORDER BY created_at DESC').all()
-    return c.json({ discounts: results })
+    const { results } = await c.env.DB.prepare(
+      "SELECT d.*, (SELECT COUNT(DISTINCT user_id) FROM discount_redemptions WHERE discount_id = d.id) AS customers FROM discount_codes d ORDER BY created_at DESC"
+    ).all()
+    return c.json({ discounts: results.map(d => ({ ...d, scope: discountScope(d) })) })
   } catch (err) { return c.json({ error: 'Failed to fetch discounts' }, 500) }
 })
 
+// Normalises the admin discount form. With `partial`, only the fields present are returned
+// (so PUT can toggle `active` alone). Returns { values } or { error }.
+function discountInput(body, partial = false) {
+  const values = {}
+  const has = key => !partial || body[key] !== undefined
+  const number = v => (v === '' || v === null || v === undefined ? null : Number(v))
+  const date = v => (v ? String(v).replace('T', ' ').slice(0, 19) : null)
+  if (has('code')) {
+    if (!body.code?.trim()) return { error: 'Code required' }
+    values.code = body.code.trim().toUpperCase()
+  }
+  if (has('type')) {
+    if (!['percentage', 'fixed'].includes(body.type)) return { error: 'Type must be percentage or fixed' }
+    values.type = body.type
+  }
+  if (has('value')) {
+    values.value = number(body.value)
+    if (!(values.value > 0)) return { error: 'Value must be greater than 0' }
+    if ((body.type ?? 'percentage') === 'percentage' && values.value > 100) return { error: 'A percentage cannot be more than 100' }
+  }
+  for (const key of ['min_order_amount', 'usage_limit', 'per_user_limit', 'max_discount']) {
+    if (!has(key)) continue
+    values[key] = number(body[key]) || null
+    if (values[key] !== null && !(values[key] > 0)) return { error: `${key} must be a positive number` }
+  }
+  if (has('min_order_amount')) values.min_order_amount ??= 0
+  if (has('starts_at')) values.starts_at = date(body.starts_at)
+  if (has('ends_at')) values.ends_at = date(body.ends_at)
+  if (values.starts_at && values.ends_at && values.ends_at <= values.starts_at) return { error: 'The end date must be after the start date' }
+  if (has('first_order_only')) values.first_order_only = body.first_order_only ? 1 : 0
+  if (has('stacking')) {
+    values.stacking = body.stacking ?? 'stack'
+    if (!DISCOUNT_STACKING.includes(values.stacking)) return { error: `Stacking must be one of ${DISCOUNT_STACKING.join(', ')}` }
+  }
+  if (has('scope')) {
+    const scope = body.scope || {}
+    const list = v => (Array.isArray(v) ? v : [])
+    const clean = {
+      products: list(scope.products).map(Number).filter(Number.isInteger),
+      moods: list(scope.moods).map(String).filter(Boolean),
+      genders: list(scope.genders).map(String).filter(Boolean),
+    }
+    values.scope = clean.products.length || clean.moods.length || clean.genders.length ? JSON.stringify(clean) : null
+  }
+  if (has('active')) values.active = body.active === undefined || body.active ? 1 : 0
+  return { values }
+}
+
 app.post('/api/admin/discount', adminMiddleware, async (c) => {
   try {
-    const { code, type, value, min_order_amount, usage_limit } = await c.req.json()
-    if (!code || !type || !value) return c.json({ error: 'Code, type, and value required' }, 400)
-    if (!['percentage','fixed'].includes(type)) return c.json({ error: 'Type must be percentage or fixed' }, 400)
-    const existing = await c.env.DB.prepare('SELECT id FROM discount_codes WHERE code = ?').bind(code.toUpperCase()).first()
+    const { values, error } = discountInput(await c.req.json())
+    if (error) return c.json({ error }, 400)
+    const existing = await c.env.DB.prepare('SELECT id FROM discount_codes WHERE code = ?').bind(values.code).first()
     if (existing) return c.json({ error: 'Code already exists' }, 409)
-    const result = await c.env.DB.prepare('INSERT INTO discount_codes (code, type, value, min_order_amount, usage_limit, used_count, active) VALUES (?, ?, ?, ?, ?, 0, 1)').bind(code.toUpperCase(), type, value, min_order_amount||0, usage_limit||null).run()
+    const keys = Object.keys(values)
+    const result = await c.env.DB.prepare(
+      `INSERT INTO discount_codes (${keys.join(', ')}, used_count) VALUES (${keys.map(() => '?').join(', ')}, 0)`
+    ).bind(...keys.map(k => values[k])).run()
     return c.json({ success: true, id: result.meta.last_row_id }, 201)
   } catch (err) { return c.json({ error: 'Failed to create discount', details: err.message }, 500) }
 })
 
+// Partial update: send only the fields to change (e.g. { active: false }).
 app.put('/api/admin/discount/:id', adminMiddleware, async (c) => {
   try {
-    const { active } = await c.req.json()
-    await c.env.DB.prepare('UPDATE discount_codes SET active = ? WHERE id = ?').bind(active?1:0, c.req.param('id')).run()
+    const id = c.req.param('id')
+    const body = await c.req.json()
+    const current = await c.env.DB.prepare('SELECT type, starts_at, ends_at FROM discount_codes WHERE id = ?').bind(id).first()
+    if (!current) return c.json({ error: 'Discount not found' }, 404)
+    const { values, error } = discountInput({ type: body.value !== undefined ? current.type : undefined, ...body }, true)
+    if (error) return c.json({ error }, 400)
+    const starts = values.starts_at !== undefined ? values.starts_at : current.starts_at
+    const ends = values.ends_at !== undefined ? values.ends_at : current.ends_at
+    if (starts && ends && ends <= starts) return c.json({ error: 'The end date must be after the start date' }, 400)
+    if (values.code) {
+      const clash = await c.env.DB.prepare('SELECT id FROM discount_codes WHERE code = ? AND id != ?').bind(values.code, id).first()
+      if (clash) return c.json({ error: 'Code already exists' }, 409)
+    }
+    const keys = Object.keys(values)
+    if (!keys.length) return c.json({ error: 'Nothing to update' }, 400)
+    await c.env.DB.prepare(`UPDATE discount_codes SET ${keys.map(k => `${k} = ?`).join(', ')} WHERE id = ?`).bind(...keys.map(k => values[k]), id).run()
     return c.json({ success: true })
-  } catch (err) { return c.json({ error: 'Failed to update discount' }, 500) }
+  } catch (err) { return c.json({ error: 'Failed to update discount', details: err.message }, 500) }
 })
 
 app.delete('/api/admin/discount/:id', adminMiddleware, async (c) => {
   try {
+    const redeemed = await c.env.DB.prepare('SELECT COUNT(*) AS count FROM discount_redemptions WHERE discount_id = ?').bind(c.req.param('id')).first()
+    if (redeemed.count) return c.json({ error: 'This code has been used on orders. Deactivate it instead.' }, 409)
     await c.env.DB.prepare('DELETE FROM discount_codes WHERE id = ?').bind(c.req.param('id')).run()
     return c.json({ success: true })
   } catch (err) { return c.json({ error: 'Failed to delete discount' }, 500) }
 })
 
+// ADMIN - RISK
+app.get('/api/admin/risk-queue', adminMiddleware, async (c) => {
+  try {
+    const { results } = await c.env.DB.prepare(
+      `SELECT o.*,
+        (SELECT COUNT(*) FROM orders p WHERE p.phone_key = o.phone_key AND p.id != o.id) AS phone_orders,
+        (SELECT COUNT(*) FROM orders p WHERE p.phone_key = o.phone_key AND p.id != o.id AND p.status = 'delivered') AS phone_delivered,
+        (SELECT COUNT(*) FROM orders p WHERE p.phone_key = o.phone_key AND p.id != o.id AND p.status = 'cancelled') AS phone_cancelled
+      FROM orders o WHERE o.status = 'on_hold' ORDER BY o.risk_score DESC, o.created_at`
+    ).all()
+    return c.json({ orders: results.map(o => ({ ...o, risk_reasons: JSON.parse(o.risk_reasons || '[]') })) })
+  } catch (err) { return c.json({ error: 'Failed to fetch risk queue', details: err.message }, 500) }
+})
+
+// Body: { note?, block?: ['phone', 'email', 'address', 'device'] } — reject can also blocklist
+// the order's details in the same step.
+app.post('/api/admin/risk-queue/:id/:action{approve|reject}', adminMiddleware, async (c) => {
+  try {
+    const { note, block } = await c.req.json().catch(() => ({}))
+    const action = c.req.param('action')
+    const order = await c.env.DB.prepare('SELECT id, status, user_email, phone, address, device_id FROM orders WHERE id = ?').bind(c.req.param('id')).first()
+    if (!order) return c.json({ error: 'Order not found' }, 404)
+    if (order.status !== 'on_hold') return c.json({ error: `Order #${order.id} is ${order.status}, not on hold` }, 409)
+    const admin = c.get('user')
+    const result = await changeOrderStatus(
+      c, order, action === 'approve' ? 'confirmed' : 'cancelled', { type: 'admin', id: admin.id },
+      action === 'approve' ? 'Order confirmed' : 'Order could not be confirmed', { review_note: note?.trim() || null }
+    )
+    if (result.error) return c.json(result, 409)
+    if (action === 'reject' && Array.isArray(block)) {
+      const values = { phone: order.phone, email: order.user_email, address: order.address, device: order.device_id }
+      const kinds = block.filter(kind => RISK_LIST_KINDS.includes(kind) && riskListKey(kind, values[kind]))
+      if (kinds.length) {
+        await c.env.DB.batch(kinds.map(kind => c.env.DB.prepare(
+          "INSERT INTO risk_lists (list, kind, value, note, created_by) VALUES ('block', ?, ?, ?, ?) ON CONFLICT(kind, value) DO UPDATE SET list = 'block', note = excluded.note, created_by = excluded.created_by"
+        ).bind(kind, riskListKey(kind, values[kind]), `Rejected order #${order.id}`, admin.id)))
+      }
+    }
+    return c.json({ success: true, message: `Order #${order.id} ${action === 'approve' ? 'approved' : 'rejected'}` })
+  } catch (err) { return c.json({ error: 'Failed to review order', details: err.message }, 500) }
+})
+
+// Rules with how each has performed: of the finished orders a rule fired on, how many were
+// cancelled, next to the cancellation rate of all finished orders.
+app.get('/api/admin/risk-rules', adminMiddleware, async (c) => {
+  try {
+    const config = await loadRiskConfig(c)
+    const [stats, overall] = await c.env.DB.batch([
+      c.env.DB.prepare(
+        "SELECT h.rule, COUNT(*) AS orders, SUM(o.status = 'cancelled') AS cancelled, SUM(o.status = 'delivered') AS delivered FROM order_risk_hits h JOIN orders o ON o.id = h.order_id WHERE o.status IN ('cancelled', 'delivered') GROUP BY h.rule"
+      ),
+      c.env.DB.prepare("SELECT COUNT(*) AS orders, COALESCE(SUM(status = 'cancelled'), 0) AS cancelled FROM orders WHERE status IN ('cancelled', 'delivered')"),
+    ])
+    const byRule = new Map(stats.results.map(r => [r.rule, r]))
+    const rate = (cancelled, orders) => (orders ? Math.round(cancelled / orders * 100) : null)
+    const base = overall.results[0]
+    return c.json({
+      settings: config.settings,
+      rules: config.rules.map(r => {
+        const st = byRule.get(r.key) || { orders: 0, cancelled: 0, delivered: 0 }
+        return { ...r, stats: { finished_orders: st.orders, cancelled: st.cancelled, delivered: st.delivered, cancel_rate: rate(st.cancelled, st.orders) } }
+      }),
+      baseline: { finished_orders: base.orders, cancel_rate: rate(base.cancelled, base.orders) },
+    })
+  } catch (err) { return c.json({ error: 'Failed to load risk rules', details: err.message }, 500) }
+})
+
+// Body: { settings?: { hold_threshold, medium_threshold, phone_pattern }, rules?: [{ key, enabled, points, params }] }
+app.put('/api/admin/risk-rules', adminMiddleware, async (c) => {
+  try {
+    const { settings = {}, rules = [] } = await c.req.json()
+    const current = (await loadRiskConfig(c)).settings
+    const problems = []
+    const stmts = []
+    for (const [key, value] of Object.entries(settings)) {
+      if (!(key in RISK_SETTINGS)) { problems.push(`Unknown setting "${key}"`); continue }
+      if (key === 'phone_pattern') {
+        try { new RegExp(value) } catch { problems.push('phone_pattern is not a valid regular expression'); continue }
+      } else if (!Number.isFinite(value) || value < 1 || value > 100) { problems.push(`${key} must be between 1 and 100`); continue }
+      stmts.push(c.env.DB.prepare('INSERT INTO risk_settings (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value').bind(key, JSON.stringify(value)))
+    }
+    if ((settings.medium_threshold ?? current.medium_threshold) >= (settings.hold_threshold ?? current.hold_threshold)) problems.push('medium_threshold must be below hold_threshold')
+    for (const r of rules) {
+      const known = RISK_RULES.find(d => d.key === r.key)
+      if (!known) { problems.push(`Unknown rule "${r.key}"`); continue }
+      if (!Number.isInteger(r.points) || r.points < 0 || r.points > 100) { problems.push(`${r.key}: points must be a whole number from 0 to 100`); continue }
+      const params = {}
+      for (const [name, value] of Object.entries(r.params || {})) {
+        if (!(name in known.params)) problems.push(`${r.key}: unknown parameter "${name}"`)
+        else if (!Number.isFinite(value) || value < 0) problems.push(`${r.key}: ${name} must be a positive number`)
+        else params[name] = value
+      }
+      stmts.push(c.env.DB.prepare(
+        "INSERT INTO risk_rules (key, enabled, points, params) VALUES (?, ?, ?, ?) ON CONFLICT(key) DO UPDATE SET enabled = excluded.enabled, points = excluded.points, params = excluded.params, updated_at = CURRENT_TIMESTAMP"
+      ).bind(r.key, r.enabled === false ? 0 : 1, r.points, JSON.stringify(params)))
+    }
+    if (problems.length) return c.json({ error: 'Invalid risk rules', problems }, 400)
+    if (stmts.length) await c.env.DB.batch(stmts)
+    return c.json({ success: true })
+  } catch (err) { return c.json({ error: 'Failed to save risk rules', details: err.message }, 500) }
+})
+
+app.get('/api/admin/risk-lists', adminMiddleware, async (c) => {
+  try {
+    const { results } = await c.env.DB.prepare('SELECT * FROM risk_lists ORDER BY created_at DESC, id DESC').all()
+    return c.json({ entries: results })
+  } catch (err) { return c.json({ error: 'Failed to fetch risk lists', details: err.message }, 500) }
+})
+
+// Body: { list: 'block' | 'allow', kind: 'phone' | 'email' | 'address' | 'device', value, note? }
+// A value is on one list at a time; adding it to the other list moves it.
+app.post('/api/admin/risk-lists', adminMiddleware, async (c) => {
+  try {
+    const { list, kind, value, note } = await c.req.json()
+    if (!['block', 'allow'].includes(list)) return c.json({ error: 'List must be block or allow' }, 400)
+    if (!RISK_LIST_KINDS.includes(kind)) return c.json({ error: `Kind must be one of ${RISK_LIST_KINDS.join(', ')}` }, 400)
+    const key = riskListKey(kind, value)
+    if (!key) return c.json({ error: 'Value required' }, 400)
+    await c.env.DB.prepare(
+      'INSERT INTO risk_lists (list, kind, value, note, created_by) VALUES (?, ?, ?, ?, ?) ON CONFLICT(kind, value) DO UPDATE SET list = excluded.list, note = excluded.note, created_by = excluded.created_by'
+    ).bind(list, kind, key, note?.trim() || null, c.get('user').id).run()
+    return c.json({ success: true, value: key }, 201)
+  } catch (err) { return c.json({ error: 'Failed to save list entry', details: err.message }, 500) }
+})
+
+app.delete('/api/admin/risk-lists/:id', adminMiddleware, async (c) => {
+  try {
+    await c.env.DB.prepare('DELETE FROM risk_lists WHERE id = ?').bind(c.req.param('id')).run()
+    return c.json({ success: true })
+  } catch (err) { return c.json({ error: 'Failed to delete list entry' }, 500) }
+})
+
+// The decision log; ?order_id= narrows it to one order.
+app.get('/api/admin/risk-decisions', adminMiddleware, async (c) => {
+  try {
+    const orderId = c.req.query('order_id')
+    const { results } = await c.env.DB.prepare(
+      `SELECT d.*, u.email AS actor_email, o.status AS order_status FROM risk_decisions d LEFT JOIN users u ON u.id = d.actor_id JOIN orders o ON o.id = d.order_id
+       ${orderId ? 'WHERE d.order_id = ?' : ''} ORDER BY d.created_at DESC, d.id DESC LIMIT 200`
+    ).bind(...(orderId ? [orderId] : [])).all()
+    return c.json({ decisions: results })
+  } catch (err) { return c.json({ error: 'Failed to fetch risk decisions', details: err.message }, 500) }
+})
+
+// ADMIN - REVIEWS
+// ?status= (pending | approved | hidden) and ?product_id= narrow the list; `counts` is per status.
+app.get('/api/admin/reviews', adminMiddleware, async (c) => {
+  try {
+    const { status, product_id } = c.req.query()
+    if (status && !REVIEW_STATUSES.includes(status)) return c.json({ error: `status must be one of: ${REVIEW_STATUSES.join(', ')}` }, 400)
+    const limit = Math.min(Math.max(parseInt(c.req.query('limit')) || 50, 1), 200)
+    const offset = Math.max(parseInt(c.req.query('offset')) || 0, 0)
+    const filters = [status && ['r.status = ?', status], product_id && ['r.product_id = ?', product_id]].filter(Boolean)
+    const [page, counts] = await c.env.DB.batch([
+      c.env.DB.prepare(
+        `SELECT r.*, p.name AS product_name, u.name AS customer_name, u.email AS customer_email
+         FROM reviews r JOIN users u ON u.id = r.user_id LEFT JOIN products p ON p.id = r.product_id
+         ${filters.length ? 'WHERE ' + filters.map(f => f[0]).join(' AND ') : ''}
+         ORDER BY r.created_at DESC, r.id DESC LIMIT ? OFFSET ?`
+      ).bind(...filters.map(f => f[1]), limit + 1, offset),
+      c.env.DB.prepare('SELECT status, COUNT(*) AS count FROM reviews GROUP BY status'),
+    ])
+    return c.json({
+      reviews: page.results.slice(0, limit),
+      counts: Object.fromEntries(REVIEW_STATUSES.map(s => [s, counts.results.find(r => r.status === s)?.count || 0])),
+      next_offset: page.results.length > limit ? offset + limit : null,
+    })
+  } catch (err) { return c.json({ error: 'Failed to fetch reviews', details: err.message }, 500) }
+})
+
+// Approving publishes a review and hiding takes it down; either way the product's rating is redone.
+app.post('/api/admin/reviews/:id/:action{approve|hide}', adminMiddleware, async (c) => {
+  try {
+    const review = await c.env.DB.prepare('SELECT id, product_id FROM reviews WHERE id = ?').bind(c.req.param('id')).first()
+    if (!review) return c.json({ error: 'Review not found' }, 404)
+    const status = c.req.param('action') === 'approve' ? 'approved' : 'hidden'
+    await c.env.DB.batch([
+      c.env.DB.prepare('UPDATE reviews SET status = ?, moderated_at = CURRENT_TIMESTAMP WHERE id = ?').bind(status, review.id),
+      refreshRatingStmt(c, review.product_id),
+    ])
+    return c.json({ success: true, status })
+  } catch (err) { return c.json({ error: 'Failed to moderate review', details: err.message }, 500) }
+})
+
+// The store's public answer, shown under the review. An empty reply removes it.
+app.put('/api/admin/reviews/:id/reply', adminMiddleware, async (c) => {
+  try {
+    const { reply } = await c.req.json().catch(() => ({}))
+    const text = String(reply ?? '').trim() || null
+    if (text?.length > REVIEW_MAX_LENGTH) return c.json({ error: `Replies are limited to ${REVIEW_MAX_LENGTH} characters` }, 400)
+    const result = await c.env.DB.prepare('UPDATE reviews SET reply = ?, replied_at = CASE WHEN ? IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END WHERE id = ?')
+      .bind(text, text, c.req.param('id')).run()
+    if (!result.meta.changes) return c.json({ error: 'Review not found' }, 404)
+    return c.json({ success: true })
+  } catch (err) { return c.json({ error: 'Failed to save reply', details: err.message }, 500) }
+})
+
+// ADMIN - QUIZ
+app.get('/api/admin/quiz', adminMiddleware, async (c) => {
+  try {
+    return c.json({ quiz: await loadQuiz(c) })
+  } catch (err) { return c.json({ error: 'Failed to load quiz', details: err.message }, 500) }
+})
+
+// Replaces the whole question set and settings in one batch. Saved profiles keep their old answers;
+// re-running them scores whatever still matches the new questions.
+app.put('/api/admin/quiz', adminMiddleware, async (c) => {
+  try {
+    const { quiz } = await c.req.json()
+    if (!quiz || typeof quiz !== 'object') return c.json({ error: 'quiz is required' }, 400)
+    const problems = quizProblems(quiz)
+    if (problems.length) return c.json({ error: `Quiz not saved: ${problems[0]}`, problems }, 400)
+    const settings = ['weights', 'mood_intensity', 'note_intensity', 'mood_profiles'].filter(k => quiz[k] !== undefined)
+    await c.env.DB.batch([
+      c.env.DB.prepare('DELETE FROM quiz_options'),
+      c.env.DB.prepare('DELETE FROM quiz_questions'),
+      ...quiz.questions.map((q, i) => c.env.DB.prepare('INSERT INTO quiz_questions (key, title, subtitle, position) VALUES (?, ?, ?, ?)').bind(q.key, q.title, q.subtitle || '', i)),
+      ...quiz.questions.flatMap(q => q.options.map((o, i) => c.env.DB.prepare(
+        'INSERT INTO quiz_options (question_id, value, label, description, image, position, weights) SELECT id, ?, ?, ?, ?, ?, ? FROM quiz_questions WHERE key = ?'
+      ).bind(o.value, o.label, o.description || '', o.image || '', i, JSON.stringify(o.weights || {}), q.key))),
+      ...settings.map(k => c.env.DB.prepare('INSERT INTO quiz_settings (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value').bind(k, JSON.stringify(quiz[k]))),
+    ])
+    return c.json({ success: true, quiz: await loadQuiz(c) })
+  } catch (err) { return c.json({ error: 'Failed to save quiz', details: err.message }, 500) }
+})
+
 export default app
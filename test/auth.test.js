@@ -0,0 +1,146 @@
+import { createHash } from 'node:crypto'
+import { after, before, describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { ADDRESS, ADMIN, BOOT_TIMEOUT, startWorker } from './helpers.js'
+
+describe('auth', () => {
+  let app
+  const mailLink = (email, param) => {
+    const [mail] = app.sql(`SELECT body FROM mail_outbox WHERE recipient = '${email}' ORDER BY id DESC LIMIT 1`)
+    return mail.body.match(new RegExp(`${param}=([^\\s]+)`))[1]
+  }
+  const expireTokens = (email, purpose) => app.sql(
+    `UPDATE auth_tokens SET expires_at = datetime('now', '-1 minute'), created_at = datetime('now', '-1 day') WHERE purpose = '${purpose}' AND user_id = (SELECT id FROM users WHERE email = '${email}')`
+  )
+
+  before(async () => { app = await startWorker() }, { timeout: BOOT_TIMEOUT })
+  after(() => app?.stop())
+
+  it('logs the seeded admin in', async () => {
+    const res = await app.api('POST', '/api/login', { body: ADMIN })
+    assert.equal(res.status, 200)
+    assert.equal(res.data.user.role, 'admin')
+    assert.ok(res.data.refresh_token)
+  })
+
+  it('rejects a wrong password', async () => {
+    const res = await app.api('POST', '/api/login', { body: { email: ADMIN.email, password: 'not-the-password' } })
+    assert.equal(res.status, 401)
+  })
+
+  it('keeps customers out of admin routes', async () => {
+    const { token } = await app.customer('Sana')
+    assert.equal((await app.api('GET', '/api/admin/orders', { token })).status, 403)
+    assert.equal((await app.api('GET', '/api/admin/orders')).status, 401)
+  })
+
+  it('requires a confirmed email before checkout', async () => {
+    const res = await app.api('POST', '/api/register', { body: { name: 'Omar', email: 'omar@elv.test', password: 'Amber-Musk-77' } })
+    const checkout = await app.api('POST', '/api/checkout', { token: res.data.token, body: { items: [{ id: 1, quantity: 1 }], ...ADDRESS } })
+    assert.equal(checkout.status, 403)
+    assert.equal(checkout.data.code, 'EMAIL_UNVERIFIED')
+  })
+
+  it('rotates the refresh token', async () => {
+    const { data } = await app.api('POST', '/api/login', { body: ADMIN })
+    const first = await app.api('POST', '/api/auth/refresh', { body: { refresh_token: data.refresh_token } })
+    assert.equal(first.status, 200)
+    assert.notEqual(first.data.refresh_token, data.refresh_token)
+    const next = await app.api('POST', '/api/auth/refresh', { body: { refresh_token: first.data.refresh_token } })
+    assert.equal(next.status, 200)
+  })
+
+  it('changes an admin\'s email and password together and ends their sessions', async () => {
+    const { email } = await app.customer('Zara')
+    app.sql(`UPDATE users SET role = 'admin' WHERE email = '${email}'`)
+    const { data } = await app.api('POST', '/api/login', { body: { email, password: 'Amber-Musk-77' } })
+    const change = body => app.api('POST', '/api/admin/change-credentials', { token: data.token, body: { current_password: 'Amber-Musk-77', ...body } })
+
+    assert.equal((await change({ new_email: ADMIN.email, new_password: 'Saffron-Rose-2025!' })).status, 409)
+    assert.equal((await app.api('POST', '/api/login', { body: { email, password: 'Amber-Musk-77' } })).status, 200)
+
+    const changed = await change({ new_email: 'zara.admin@elv.test', new_password: 'Saffron-Rose-2025!' })
+    assert.equal(changed.status, 200, JSON.stringify(changed.data))
+    assert.equal((await app.api('POST', '/api/auth/refresh', { body: { refresh_token: data.refresh_token } })).status, 401)
+    assert.equal((await app.api('GET', '/api/admin/orders', { token: data.token })).status, 401)
+    assert.equal((await app.api('POST', '/api/login', { body: { email: 'zara.admin@elv.test', password: 'Saffron-Rose-2025!' } })).status, 200)
+  })
+
+  it('locks out the IP that keeps failing, not other clients', async () => {
+    const ip = { 'CF-Connecting-IP': '203.0.113.7' }
+    // 20 failures spread over emails, 4 each so no single email locks
+    for (let i = 0; i < 20; i++) await app.api('POST', '/api/login', { body: { email: `guess${i % 5}@elv.test`, password: 'not-the-password' }, headers: ip })
+    const locked = await app.api('POST', '/api/login', { body: ADMIN, headers: ip })
+    assert.equal(locked.status, 429)
+    assert.ok(Number(locked.headers.get('Retry-After')) > 0)
+    assert.equal((await app.api('POST', '/api/login', { body: ADMIN, headers: { 'CF-Connecting-IP': '198.51.100.4' } })).status, 200)
+    assert.deepEqual(app.sql("SELECT key FROM auth_throttle WHERE key LIKE 'ip:%' AND locked_until IS NOT NULL"), [{ key: 'ip:203.0.113.7' }])
+  })
+
+  it('upgrades a legacy SHA-256 password hash on the next login', async () => {
+    const { email } = await app.customer('Hina')
+    const legacy = createHash('sha256').update('Amber-Musk-77').digest('base64')
+    app.sql(`UPDATE users SET password_hash = '${legacy}' WHERE email = '${email}'`)
+
+    assert.equal((await app.api('POST', '/api/login', { body: { email, password: 'not-the-password' } })).status, 401)
+    assert.equal(app.sql(`SELECT password_hash FROM users WHERE email = '${email}'`)[0].password_hash, legacy)
+    assert.equal((await app.api('POST', '/api/login', { body: { email, password: 'Amber-Musk-77' } })).status, 200)
+    assert.match(app.sql(`SELECT password_hash FROM users WHERE email = '${email}'`)[0].password_hash, /^pbkdf2\$v1\$/)
+    assert.equal((await app.api('POST', '/api/login', { body: { email, password: 'Amber-Musk-77' } })).status, 200)
+  })
+
+  it('ends every session and access token on logout-all', async () => {
+    const { email, token } = await app.customer('Iqra')
+    const other = await app.api('POST', '/api/login', { body: { email, password: 'Amber-Musk-77' } })
+    const [before] = app.sql(`SELECT token_version FROM users WHERE email = '${email}'`)
+
+    assert.equal((await app.api('POST', '/api/logout-all', { token })).status, 200)
+    assert.equal(app.sql(`SELECT token_version FROM users WHERE email = '${email}'`)[0].token_version, before.token_version + 1)
+    assert.equal((await app.api('GET', '/api/cart', { token })).status, 401)
+    assert.equal((await app.api('GET', '/api/cart', { token: other.data.token })).status, 401)
+    assert.equal((await app.api('POST', '/api/auth/refresh', { body: { refresh_token: other.data.refresh_token } })).status, 401)
+
+    const fresh = await app.api('POST', '/api/login', { body: { email, password: 'Amber-Musk-77' } })
+    assert.equal((await app.api('GET', '/api/cart', { token: fresh.data.token })).status, 200)
+  })
+
+  it('locks an email after five failures and lifts the lock with a password reset', async () => {
+    const { email } = await app.customer('Javed')
+    const session = await app.api('POST', '/api/login', { body: { email, password: 'Amber-Musk-77' } })
+    // Each attempt from its own IP, so only the email bucket fills
+    const attempt = (password, i) => app.api('POST', '/api/login', { body: { email, password }, headers: { 'CF-Connecting-IP': `192.0.2.${i}` } })
+    for (let i = 1; i <= 5; i++) assert.equal((await attempt('not-the-password', i)).status, 401)
+    assert.equal((await attempt('Amber-Musk-77', 6)).status, 429)
+
+    assert.equal((await app.api('POST', '/api/password/forgot', { body: { email } })).status, 200)
+    const reset = password => app.api('POST', '/api/password/reset', { body: { token: mailLink(email, 'reset'), password } })
+    assert.equal((await reset('Cedar-Smoke-88')).status, 200)
+    assert.equal((await reset('Cedar-Smoke-99')).status, 400)
+    assert.equal((await app.api('POST', '/api/auth/refresh', { body: { refresh_token: session.data.refresh_token } })).status, 401)
+    assert.equal((await attempt('Cedar-Smoke-88', 7)).status, 200)
+  })
+
+  it('refuses an expired password reset link', async () => {
+    const { email } = await app.customer('Kiran')
+    await app.api('POST', '/api/password/forgot', { body: { email } })
+    const token = mailLink(email, 'reset')
+    expireTokens(email, 'password_reset')
+    const res = await app.api('POST', '/api/password/reset', { body: { token, password: 'Cedar-Smoke-88' } })
+    assert.equal(res.status, 400)
+    assert.equal((await app.api('POST', '/api/login', { body: { email, password: 'Amber-Musk-77' } })).status, 200)
+  })
+
+  it('refuses an expired verification link and accepts the one sent after it', async () => {
+    const res = await app.api('POST', '/api/register', { body: { name: 'Laila', email: 'laila@elv.test', password: 'Amber-Musk-77' } })
+    const expired = mailLink('laila@elv.test', 'verify')
+    expireTokens('laila@elv.test', 'email_verify')
+    assert.equal((await app.api('POST', '/api/email/verify', { body: { token: expired } })).status, 400)
+
+    assert.equal((await app.api('POST', '/api/email/resend', { token: res.data.token })).status, 200)
+    assert.equal((await app.api('POST', '/api/email/resend', { token: res.data.token })).status, 429)
+    const token = mailLink('laila@elv.test', 'verify')
+    assert.equal((await app.api('POST', '/api/email/verify', { body: { token } })).status, 200)
+    assert.equal((await app.api('POST', '/api/email/verify', { body: { token } })).status, 400)
+    assert.ok(app.sql("SELECT email_verified_at FROM users WHERE email = 'laila@elv.test'")[0].email_verified_at)
+  })
+})
@@ -0,0 +1,128 @@
+import { after, before, describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { BOOT_TIMEOUT, startWorker } from './helpers.js'
+
+describe('catalogue', () => {
+  let app, admin
+  before(async () => {
+    app = await startWorker()
+    admin = await app.login()
+  }, { timeout: BOOT_TIMEOUT })
+  after(() => app?.stop())
+
+  it('pages products with mood facets', async () => {
+    const res = await app.api('GET', '/api/products?limit=5')
+    assert.equal(res.status, 200)
+    assert.equal(res.data.products.length, 5)
+    assert.equal(res.data.total, 12)
+    assert.equal(res.data.next_offset, 5)
+    assert.equal(res.data.facets.mood.Warm, 3)
+  })
+
+  it('searches names, descriptions and notes', async () => {
+    const res = await app.api('GET', '/api/products?q=oud')
+    assert.ok(res.data.products.length >= 3)
+    assert.ok(res.data.products.every(p => /oud/i.test(`${p.name} ${p.description} ${p.scent_notes}`)))
+  })
+
+  it('filters by note slug', async () => {
+    const res = await app.api('GET', '/api/products?note=sandalwood')
+    assert.deepEqual(res.data.products.map(p => p.name).sort(), ['Noir Mystique', 'Santal Doré'])
+  })
+
+  it('ranks similar products by shared notes and mood', async () => {
+    const res = await app.api('GET', '/api/products/1/similar')
+    assert.equal(res.status, 200)
+    // Noir Mystique: Oud top, Amber and Dark Rose heart, Sandalwood base; Mysterious adds 3
+    assert.deepEqual(res.data.products.map(p => [p.name, p.similarity]), [
+      ['Velvet Obscura', 4.5],
+      ['Orient Express', 3.5],
+      ['Ombre Sacré', 3],
+      ['Santal Doré', 2],
+      ['Ambre Royal', 1.5],
+    ])
+    assert.deepEqual(res.data.products[1].shared_notes.sort(), ['Amber', 'Oud'])
+    assert.deepEqual(res.data.products[2].shared_notes, [])
+    assert.equal((await app.api('GET', '/api/products/1/similar?limit=2')).data.products.length, 2)
+    assert.equal((await app.api('GET', '/api/products/9999/similar')).status, 404)
+  })
+
+  it('scores quiz answers against mood, notes and budget and saves the profile', async () => {
+    const quiz = {
+      weights: { mood: 2, notes: 2, gender: 1, intensity: 1, budget: 1 },
+      questions: [
+        { key: 'vibe', title: 'Pick a vibe', options: [
+          { value: 'dark', label: 'Dark', weights: { mood: { Mysterious: 2, Warm: 1 }, notes: { oud: 2 } } },
+          { value: 'bright', label: 'Bright', weights: { mood: { Fresh: 2 } } },
+        ] },
+        { key: 'budget', title: 'Budget', options: [
+          { value: 'low', label: 'Up to Rs. 300', weights: { budget: 300 } },
+          { value: 'any', label: 'Any' },
+        ] },
+      ],
+    }
+    assert.equal((await app.api('PUT', '/api/admin/quiz', { token: admin, body: { quiz } })).status, 200)
+    const answers = { vibe: 'dark', budget: 'low' }
+
+    const guest = await app.api('POST', '/api/quiz/recommend', { body: { answers, limit: 4 } })
+    assert.equal(guest.status, 200, JSON.stringify(guest.data))
+    assert.equal(guest.data.saved, false)
+    // Velvet Obscura loses a little for being Rs. 20 over budget, Orient Express is only Warm
+    assert.deepEqual(guest.data.products.map(p => [p.name, p.match_percent]), [
+      ['Noir Mystique', 100],
+      ['Velvet Obscura', 97],
+      ['Orient Express', 64],
+      ['Ombre Sacré', 48],
+    ])
+    assert.equal(guest.data.products[0].why, 'Matches your mysterious mood · Features Oud')
+    assert.equal(guest.data.profile.mood, 'Mysterious')
+    assert.equal((await app.api('POST', '/api/quiz/recommend', { body: { answers: { vibe: 'neon' } } })).status, 400)
+
+    const { token } = await app.customer('Quratulain')
+    assert.equal((await app.api('POST', '/api/quiz/recommend', { token, body: { answers } })).data.saved, true)
+    const { data } = await app.api('GET', '/api/quiz/profile', { token })
+    assert.deepEqual(data.profile.answers, answers)
+    assert.equal(data.profile.budget, 300)
+    assert.deepEqual(data.profile.matches.slice(0, 2).map(m => [m.name, m.match_percent]), [['Noir Mystique', 100], ['Velvet Obscura', 97]])
+  })
+
+  it('keeps a wishlist per customer', async () => {
+    const { token } = await app.customer('Wajiha')
+    const other = await app.customer('Yusra')
+    const ids = async t => (await app.api('GET', '/api/wishlist', { token: t })).data.products.map(p => p.id).sort()
+
+    assert.equal((await app.api('PUT', '/api/wishlist/3', { token })).status, 200)
+    assert.equal((await app.api('PUT', '/api/wishlist/1', { token })).status, 200)
+    assert.equal((await app.api('PUT', '/api/wishlist/3', { token })).status, 200)
+    assert.equal((await app.api('PUT', '/api/wishlist/9999', { token })).status, 404)
+    assert.deepEqual(await ids(token), [1, 3])
+    assert.deepEqual(await ids(other.token), [])
+
+    assert.equal((await app.api('DELETE', '/api/wishlist/3', { token })).status, 200)
+    assert.deepEqual(await ids(token), [1])
+    assert.equal((await app.api('GET', '/api/wishlist')).status, 401)
+  })
+
+  it('saves gender and sale price from the admin form', async () => {
+    const created = await app.api('POST', '/api/admin/product', {
+      token: admin,
+      body: { name: 'Cuir Noble', description: 'Leather and iris', price: 400, scent_mood: 'Warm', scent_notes: 'Saffron, Iris, Leather', gender: 'male', discount_percent: 25 },
+    })
+    assert.equal(created.status, 201, JSON.stringify(created.data))
+    const res = await app.api('GET', '/api/products?gender=male&on_sale=1')
+    assert.deepEqual(res.data.products.map(p => p.name), ['Cuir Noble'])
+  })
+
+  it('keeps a sold-out product at zero stock', async () => {
+    assert.equal((await app.api('POST', '/api/admin/product', { token: admin, body: { name: 'Vetiver Clair', price: 250, scent_mood: 'Fresh', stock: -1 } })).status, 400)
+    const { data } = await app.api('POST', '/api/admin/product', { token: admin, body: { name: 'Vetiver Clair', price: 250, scent_mood: 'Fresh', stock: 0 } })
+    assert.equal(app.sql(`SELECT stock FROM products WHERE id = ${data.id}`)[0].stock, 0)
+    const saved = await app.api('PUT', `/api/admin/product/${data.id}`, { token: admin, body: { price: 275 } })
+    assert.equal(saved.status, 200, JSON.stringify(saved.data))
+    assert.deepEqual(app.sql(`SELECT price, stock FROM products WHERE id = ${data.id}`), [{ price: 275, stock: 0 }])
+  })
+
+  it('returns 404 for a missing product', async () => {
+    assert.equal((await app.api('GET', '/api/products/9999')).status, 404)
+  })
+})
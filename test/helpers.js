@@ -0,0 +1,107 @@
+// Boots the worker with wrangler's unstable_dev against a new local D1 database in a temp
+// directory: every migration applied, then seeded with ADMIN and the sample catalogue. Uploading
+// the seed images takes a wrangler run per file, so only workers started with images: true get them.
+import { mkdtempSync, rmSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { deflateSync } from 'node:zlib'
+import { unstable_dev } from 'wrangler'
+import { d1Target, execute, sqlString } from '../scripts/d1.js'
+import { migrate } from '../scripts/migrate.js'
+import { seed } from '../scripts/seed.js'
+
+export const ADMIN = { email: 'owner@elv.test', password: 'Velvet-Oud-2024!' }
+export const BOOT_TIMEOUT = 180000
+
+const quiet = () => {}
+
+export async function startWorker({ images = false } = {}) {
+  const dir = mkdtempSync(join(tmpdir(), 'elv-test-'))
+  const target = d1Target({ 'persist-to': dir })
+  migrate(target, { log: quiet })
+  await seed(target, { env: { ADMIN_EMAIL: ADMIN.email, ADMIN_PASSWORD: ADMIN.password }, sample: true, images, log: quiet })
+
+  const worker = await unstable_dev('src/worker.js', {
+    persistTo: dir,
+    vars: { JWT_SECRET: 'test-secret', MAIL_TRANSPORT: 'outbox' },
+    logLevel: 'none',
+    experimental: { disableExperimentalWarning: true },
+  })
+  const base = `http://${worker.address}:${worker.port}`
+
+  const sql = command => execute(target, { command })
+
+  // body is sent as JSON unless it is FormData; binary responses come back as a Uint8Array
+  async function api(method, path, { body, token, headers = {} } = {}) {
+    const form = body instanceof FormData
+    const res = await fetch(base + path, {
+      method,
+      headers: {
+        ...(body !== undefined && !form && { 'Content-Type': 'application/json' }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers,
+      },
+      body: body === undefined || form ? body : JSON.stringify(body),
+    })
+    if (!/json|text/.test(res.headers.get('Content-Type') || 'text')) {
+      return { status: res.status, data: new Uint8Array(await res.arrayBuffer()), headers: res.headers }
+    }
+    const text = await res.text()
+    let data
+    try { data = JSON.parse(text) } catch { data = text }
+    return { status: res.status, data, headers: res.headers }
+  }
+
+  async function login(email = ADMIN.email, password = ADMIN.password) {
+    const res = await api('POST', '/api/login', { body: { email, password } })
+    if (res.status !== 200) throw new Error(`Login as ${email} failed: ${res.status} ${JSON.stringify(res.data)}`)
+    return res.data.token
+  }
+
+  // Registers a customer and confirms their email with the link from the mail outbox
+  async function customer(name) {
+    const email = `${name.toLowerCase()}@elv.test`
+    const res = await api('POST', '/api/register', { body: { name, email, password: 'Amber-Musk-77' } })
+    if (res.status !== 201) throw new Error(`Register ${email} failed: ${res.status} ${JSON.stringify(res.data)}`)
+    const [mail] = sql(`SELECT body FROM mail_outbox WHERE recipient = ${sqlString(email)} ORDER BY id DESC LIMIT 1`)
+    const token = mail.body.match(/verify=([^\s]+)/)[1]
+    const verified = await api('POST', '/api/email/verify', { body: { token } })
+    if (verified.status !== 200) throw new Error(`Verify ${email} failed: ${JSON.stringify(verified.data)}`)
+    return { email, token: res.data.token }
+  }
+
+  async function stop() {
+    await worker.stop()
+    rmSync(dir, { recursive: true, force: true })
+  }
+
+  return { target, sql, api, login, customer, stop }
+}
+
+// A delivery address that none of the default COD risk rules object to
+export const ADDRESS = { full_name: 'Ayesha Khan', phone: '03001234567', address: 'House 12, Street 4, Gulberg III, Lahore' }
+
+// A solid-colour PNG built in memory, so the suite needs no binary fixtures
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  for (let k = 0; k < 8; k++) n = n & 1 ? 0xedb88320 ^ (n >>> 1) : n >>> 1
+  return n >>> 0
+})
+const crc32 = bytes => (bytes.reduce((crc, b) => CRC_TABLE[(crc ^ b) & 0xff] ^ (crc >>> 8), 0xffffffff) ^ 0xffffffff) >>> 0
+
+export function png(width, height) {
+  const chunk = (type, data) => {
+    const body = Buffer.concat([Buffer.from(type), data])
+    const out = Buffer.alloc(body.length + 8)
+    out.writeUInt32BE(data.length)
+    body.copy(out, 4)
+    out.writeUInt32BE(crc32(body), body.length + 4)
+    return out
+  }
+  const header = Buffer.alloc(13)
+  header.writeUInt32BE(width)
+  header.writeUInt32BE(height, 4)
+  header.set([8, 2, 0, 0, 0], 8) // 8-bit RGB
+  const row = Buffer.concat([Buffer.from([0]), Buffer.alloc(width * 3, 0xc9)])
+  const pixels = deflateSync(Buffer.concat(Array(height).fill(row)))
+  return Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), chunk('IHDR', header), chunk('IDAT', pixels), chunk('IEND', Buffer.alloc(0))])
+}
@@ -0,0 +1,128 @@
+import { after, before, describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { BOOT_TIMEOUT, png, startWorker } from './helpers.js'
+
+describe('product images', () => {
+  let app, admin
+  const upload = async (bytes, type = 'image/png', name = 'bottle.png') => {
+    const body = new FormData()
+    body.append('image', new Blob([bytes], { type }), name)
+    return app.api('POST', '/api/admin/upload', { token: admin, body })
+  }
+  const product = images => ({ name: 'Rose Nocturne', price: 300, scent_mood: 'Floral', scent_notes: 'Rose, Oud', images })
+
+  before(async () => {
+    app = await startWorker({ images: true })
+    admin = await app.login()
+  }, { timeout: BOOT_TIMEOUT })
+  after(() => app?.stop())
+
+  it('serves the seeded quiz and sample catalogue images from the bucket', async () => {
+    const width = res => Buffer.from(res.data).readUInt32BE(16)
+    assert.deepEqual(app.sql("SELECT image FROM quiz_options WHERE image LIKE 'http%' UNION SELECT image FROM products WHERE image LIKE 'http%'"), [])
+    const quiz = (await app.api('GET', '/api/quiz')).data
+    for (const { image } of quiz.questions.flatMap(q => q.options).filter(o => o.image)) {
+      assert.equal((await app.api('GET', image)).status, 200, image)
+    }
+    const { product } = (await app.api('GET', '/api/products/1')).data
+    assert.deepEqual(product.images.map(i => i.url), [product.image])
+    assert.equal(width(await app.api('GET', `${product.image}?w=320`)), 320)
+    assert.equal(width(await app.api('GET', `${product.image}?w=960`)), 600)
+  })
+
+  it('goes by the file bytes, not its declared type', async () => {
+    const fake = await upload(new TextEncoder().encode('<svg onload="alert(1)"></svg>'))
+    assert.equal(fake.status, 400)
+    const real = await upload(png(400, 240), 'application/octet-stream', 'bottle')
+    assert.equal(real.status, 201, JSON.stringify(real.data))
+    assert.match(real.data.key, /^[0-9a-f-]{36}\.png$/)
+    assert.equal(real.data.content_type, 'image/png')
+  })
+
+  it('serves uploads with an ETag and a long cache lifetime', async () => {
+    const { data } = await upload(png(400, 240))
+    const res = await app.api('GET', data.url)
+    assert.equal(res.status, 200)
+    assert.equal(res.headers.get('Content-Type'), 'image/png')
+    assert.match(res.headers.get('Cache-Control'), /max-age=31536000/)
+    const etag = res.headers.get('ETag')
+    assert.ok(etag)
+    const again = await app.api('GET', data.url, { headers: { 'If-None-Match': etag } })
+    assert.equal(again.status, 304)
+  })
+
+  it('resizes to the next allowed width without upscaling', async () => {
+    const { data } = await upload(png(400, 240))
+    const width = res => Buffer.from(res.data).readUInt32BE(16)
+    const small = await app.api('GET', `${data.url}?w=100`)
+    assert.equal(small.status, 200)
+    assert.equal(width(small), 160)
+    const large = await app.api('GET', `${data.url}?w=5000`)
+    assert.equal(width(large), 400)
+  })
+
+  it('keeps the gallery order and uses the first image as the cover', async () => {
+    const first = (await upload(png(40, 40))).data
+    const second = (await upload(png(50, 50))).data
+    const created = await app.api('POST', '/api/admin/product', { token: admin, body: product([second.key, first.key]) })
+    assert.equal(created.status, 201, JSON.stringify(created.data))
+    const { data } = await app.api('GET', `/api/products/${created.data.id}`)
+    assert.deepEqual(data.product.images.map(i => i.key), [second.key, first.key])
+    assert.equal(data.product.image, second.url)
+
+    const taken = await app.api('POST', '/api/admin/product', { token: admin, body: product([first.key]) })
+    assert.equal(taken.status, 400)
+  })
+
+  it('deletes images dropped from the gallery', async () => {
+    const keep = (await upload(png(40, 40))).data
+    const drop = (await upload(png(40, 40))).data
+    const { data } = await app.api('POST', '/api/admin/product', { token: admin, body: product([keep.key, drop.key]) })
+    const saved = await app.api('PUT', `/api/admin/product/${data.id}`, { token: admin, body: { ...product([keep.key]), stock: 5 } })
+    assert.equal(saved.status, 200, JSON.stringify(saved.data))
+    assert.equal((await app.api('GET', drop.url)).status, 404)
+    assert.equal((await app.api('GET', keep.url)).status, 200)
+  })
+
+  it('removes a deleted product\'s images and leaves unattached uploads alone', async () => {
+    const cover = (await upload(png(40, 40))).data
+    const abandoned = (await upload(png(40, 40))).data
+    app.sql(`UPDATE product_images SET created_at = datetime('now', '-2 days') WHERE key = '${abandoned.key}'`)
+    const { data } = await app.api('POST', '/api/admin/product', { token: admin, body: product([cover.key]) })
+    await app.api('GET', `${cover.url}?w=320`)
+
+    assert.equal((await app.api('DELETE', `/api/admin/product/${data.id}`, { token: admin })).status, 200)
+    for (const url of [cover.url, `${cover.url}?w=320`]) assert.equal((await app.api('GET', url)).status, 404, url)
+    assert.equal((await app.api('GET', abandoned.url)).status, 200)
+    assert.deepEqual(app.sql(`SELECT key FROM product_images WHERE key IN ('${cover.key}', '${abandoned.key}')`), [{ key: abandoned.key }])
+  })
+
+  it('cleans up only unattached uploads older than a day', async () => {
+    const stale = (await upload(png(40, 40))).data
+    const fresh = (await upload(png(40, 40))).data
+    const attached = (await upload(png(40, 40))).data
+    await app.api('POST', '/api/admin/product', { token: admin, body: product([attached.key]) })
+    app.sql(`UPDATE product_images SET created_at = datetime('now', '-2 days') WHERE key IN ('${stale.key}', '${attached.key}')`)
+    await app.api('GET', `${stale.url}?w=320`)
+
+    const res = await app.api('POST', '/api/admin/images/cleanup', { token: admin })
+    assert.equal(res.status, 200, JSON.stringify(res.data))
+    assert.ok(res.data.deleted >= 1)
+    for (const url of [stale.url, `${stale.url}?w=320`]) assert.equal((await app.api('GET', url)).status, 404, url)
+    for (const url of [fresh.url, attached.url]) assert.equal((await app.api('GET', url)).status, 200, url)
+    assert.equal((await app.api('POST', '/api/admin/images/cleanup', { token: admin })).data.deleted, 0)
+  })
+
+  it('only rehosts https images from the known hosts', async () => {
+    app.sql(`INSERT INTO products (id, name, price, scent_mood, image) VALUES
+      (9101, 'Plain Http', 100, 'Fresh', 'http://images.unsplash.com/photo-1?w=600'),
+      (9102, 'Metadata', 100, 'Fresh', 'https://169.254.169.254/latest/meta-data'),
+      (9103, 'Lookalike', 100, 'Fresh', 'https://images.unsplash.com.example.net/photo-1')`)
+    const res = await app.api('POST', '/api/admin/images/rehost', { token: admin, body: {} })
+    assert.equal(res.status, 200, JSON.stringify(res.data))
+    assert.deepEqual(res.data.rehosted, [])
+    assert.deepEqual(res.data.failed.map(f => f.id), [9101, 9102, 9103])
+    assert.ok(res.data.failed.every(f => /Only https images/.test(f.error)), JSON.stringify(res.data.failed))
+    assert.deepEqual(app.sql('SELECT key FROM product_images WHERE product_id IN (9101, 9102, 9103)'), [])
+  })
+})
@@ -0,0 +1,79 @@
+import { after, before, describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, rmSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { BOOT_TIMEOUT, startWorker } from './helpers.js'
+import { d1Target, execute } from '../scripts/d1.js'
+import { listMigrations, migrate } from '../scripts/migrate.js'
+
+// schema.sql as it shipped before migrations, which the deployed database was created from
+const ORIGINAL_SCHEMA = fileURLToPath(new URL('./fixtures/schema.sql', import.meta.url))
+
+describe('migrations', () => {
+  let app
+  before(async () => { app = await startWorker() }, { timeout: BOOT_TIMEOUT })
+  after(() => app?.stop())
+
+  it('records every migration file once', () => {
+    const rows = app.sql('SELECT version, name FROM schema_migrations ORDER BY version')
+    assert.deepEqual(rows, listMigrations().map(({ version, name }) => ({ version, name })))
+  })
+
+  it('applies nothing on a second run', () => {
+    assert.deepEqual(migrate(app.target, { log: () => {} }), [])
+  })
+
+  it('creates the columns the worker reads', () => {
+    const columns = table => app.sql(`SELECT name FROM pragma_table_info('${table}')`).map(r => r.name)
+    for (const column of ['gender', 'discount_percent']) assert.ok(columns('products').includes(column), `products.${column}`)
+    for (const column of ['full_name', 'phone', 'address', 'payment_method', 'items_summary', 'risk_score', 'risk_reasons', 'device_id', 'phone_key', 'address_key', 'courier', 'tracking_number']) {
+      assert.ok(columns('orders').includes(column), `orders.${column}`)
+    }
+    for (const column of ['code', 'min_order_amount', 'usage_limit', 'used_count', 'starts_at', 'per_user_limit', 'scope', 'stacking']) {
+      assert.ok(columns('discount_codes').includes(column), `discount_codes.${column}`)
+    }
+  })
+
+  it('seeds the admin from the environment with a PBKDF2 hash', () => {
+    const [admin] = app.sql("SELECT role, password_hash, email_verified_at FROM users WHERE role = 'admin'")
+    assert.match(admin.password_hash, /^pbkdf2\$v1\$100000\$/)
+    assert.ok(admin.email_verified_at)
+  })
+
+  it('links the sample catalogue to the notes tables', () => {
+    const [{ products, linked }] = app.sql('SELECT (SELECT COUNT(*) FROM products) AS products, (SELECT COUNT(DISTINCT product_id) FROM product_notes) AS linked')
+    assert.equal(products, 12)
+    assert.equal(linked, 12)
+  })
+
+  it('upgrades a database created from the original schema.sql', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'elv-test-'))
+    try {
+      const target = d1Target({ 'persist-to': dir })
+      const sql = command => execute(target, { command })
+      execute(target, { file: ORIGINAL_SCHEMA })
+      // The original worker already wrote these, so the live tables may have been patched by hand
+      sql('ALTER TABLE orders ADD COLUMN full_name TEXT; ALTER TABLE orders ADD COLUMN phone TEXT')
+      sql("INSERT INTO orders (user_email, total_amount, full_name, phone) VALUES ('old@elv.test', 285, 'Old Customer', '0300-1234567')")
+
+      assert.deepEqual(migrate(target, { log: () => {} }).map(m => m.file), listMigrations().map(m => m.file))
+      const columns = table => sql(`SELECT name FROM pragma_table_info('${table}')`).map(r => r.name)
+      for (const column of ['token_version', 'email_verified_at']) assert.ok(columns('users').includes(column), `users.${column}`)
+      for (const column of ['gender', 'discount_percent', 'rating_count']) assert.ok(columns('products').includes(column), `products.${column}`)
+      for (const table of ['sessions', 'auth_throttle', 'cart_items', 'quiz_options', 'order_status_history', 'discount_codes']) {
+        assert.ok(columns(table).length, table)
+      }
+
+      const [admin] = sql("SELECT email_verified_at FROM users WHERE email = 'admin@elegantlavie.com'")
+      assert.ok(admin.email_verified_at)
+      const [order] = sql("SELECT full_name, phone_key FROM orders WHERE user_email = 'old@elv.test'")
+      assert.deepEqual(order, { full_name: 'Old Customer', phone_key: '3001234567' })
+      assert.deepEqual(sql("SELECT rowid FROM products_fts WHERE products_fts MATCH 'bewitching'"), [{ rowid: 1 }])
+      assert.equal(sql("SELECT COUNT(*) AS n FROM quiz_options WHERE image LIKE '/api/images/%'")[0].n, 16)
+    } finally {
+      rmSync(dir, { recursive: true, force: true })
+    }
+  })
+})
@@ -0,0 +1,163 @@
+import { after, before, describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { ADDRESS, BOOT_TIMEOUT, startWorker } from './helpers.js'
+
+describe('orders', () => {
+  let app, admin, ayesha, bilal
+  const stock = id => app.sql(`SELECT stock FROM products WHERE id = ${id}`)[0].stock
+
+  before(async () => {
+    app = await startWorker()
+    admin = await app.login()
+    ayesha = await app.customer('Ayesha')
+    bilal = await app.customer('Bilal')
+  }, { timeout: BOOT_TIMEOUT })
+  after(() => app?.stop())
+
+  it('answers CORS preflights for the cart and checkout from the dev origins', async () => {
+    const preflight = (path, method, headers) => app.api('OPTIONS', path, {
+      headers: { Origin: 'http://localhost:8788', 'Access-Control-Request-Method': method, 'Access-Control-Request-Headers': headers },
+    })
+    const cart = await preflight('/api/cart/1', 'PATCH', 'content-type, authorization')
+    assert.equal(cart.status, 204)
+    assert.match(cart.headers.get('Access-Control-Allow-Methods'), /PATCH/)
+    const checkout = await preflight('/api/checkout', 'POST', 'content-type, authorization, x-device-id')
+    assert.match(checkout.headers.get('Access-Control-Allow-Headers'), /X-Device-Id/i)
+  })
+
+  it('places an order, takes the stock and applies a discount code', async () => {
+    const code = await app.api('POST', '/api/admin/discount', { token: admin, body: { code: 'welcome10', type: 'percentage', value: 10, per_user_limit: 1 } })
+    assert.equal(code.status, 201, JSON.stringify(code.data))
+    const before = stock(1)
+    const res = await app.api('POST', '/api/checkout', {
+      token: ayesha.token,
+      body: { items: [{ id: 1, quantity: 2 }], discount_code: 'WELCOME10', ...ADDRESS },
+    })
+    assert.equal(res.status, 200, JSON.stringify(res.data))
+    assert.equal(res.data.status, 'pending')
+    assert.equal(res.data.subtotal, 570)
+    assert.equal(res.data.discount_amount, 57)
+    assert.equal(res.data.final_total, 513)
+    assert.equal(stock(1), before - 2)
+
+    const again = await app.api('POST', '/api/discount/validate', { token: ayesha.token, body: { code: 'WELCOME10', items: [{ id: 1, quantity: 1 }] } })
+    assert.equal(again.status, 400)
+  })
+
+  it('lets only one of two parallel checkouts redeem a one-per-customer or first-order code', async () => {
+    const cases = [
+      ['ONCEONLY', { per_user_limit: 1 }, /already used/],
+      ['FIRSTBUY', { first_order_only: true }, /first orders only/],
+    ]
+    for (const [code, limit, rejection] of cases) {
+      const created = await app.api('POST', '/api/admin/discount', { token: admin, body: { code, type: 'fixed', value: 100, ...limit } })
+      assert.equal(created.status, 201, JSON.stringify(created.data))
+      const shopper = await app.customer(`Twin${code}`)
+      const checkout = () => app.api('POST', '/api/checkout', {
+        token: shopper.token,
+        body: { items: [{ id: 2, quantity: 1 }], discount_code: code, ...ADDRESS },
+      })
+      const results = await Promise.all([checkout(), checkout()])
+      assert.deepEqual(results.map(r => r.status).sort(), [200, 400], JSON.stringify(results.map(r => r.data)))
+      const rejected = results.find(r => r.status === 400).data
+      assert.equal(rejected.code, 'DISCOUNT_REJECTED')
+      assert.match(rejected.error, rejection)
+      const [{ count }] = app.sql(`SELECT COUNT(*) AS count FROM orders WHERE user_email = '${shopper.email}'`)
+      assert.equal(count, 1)
+      assert.equal(app.sql(`SELECT used_count FROM discount_codes WHERE code = '${code}'`)[0].used_count, 1)
+    }
+  })
+
+  it('moves an order through its statuses and records the timeline', async () => {
+    const { data } = await app.api('POST', '/api/checkout', { token: bilal.token, body: { items: [{ id: 7, quantity: 1 }], ...ADDRESS, phone: '03111234567' } })
+    const status = (to, extra = {}) => app.api('PUT', `/api/admin/order/${data.order_id}/status`, { token: admin, body: { status: to, ...extra } })
+
+    assert.equal((await status('delivered')).status, 409)
+    assert.equal((await status('confirmed')).status, 200)
+    assert.equal((await status('shipped')).status, 400)
+    assert.equal((await status('shipped', { courier: 'TCS', tracking_number: 'TCS123' })).status, 200)
+    assert.equal((await status('delivered')).status, 200)
+
+    const mine = await app.api('GET', `/api/my-orders/${data.order_id}`, { token: bilal.token })
+    assert.equal(mine.data.order.tracking_number, 'TCS123')
+    assert.deepEqual(mine.data.timeline.map(t => t.status), ['pending', 'confirmed', 'shipped', 'delivered'])
+    assert.equal((await app.api('GET', `/api/my-orders/${data.order_id}`, { token: ayesha.token })).status, 404)
+  })
+
+  it('restocks and gives the code back when a customer cancels', async () => {
+    const [order] = app.sql(`SELECT id FROM orders WHERE user_email = '${ayesha.email}'`)
+    const before = stock(1)
+    const res = await app.api('POST', `/api/my-orders/${order.id}/cancel`, { token: ayesha.token, body: { reason: 'Ordered twice' } })
+    assert.equal(res.status, 200, JSON.stringify(res.data))
+    assert.equal(stock(1), before + 2)
+    assert.equal(app.sql("SELECT used_count FROM discount_codes WHERE code = 'WELCOME10'")[0].used_count, 0)
+    const again = await app.api('POST', `/api/my-orders/${order.id}/cancel`, { token: ayesha.token })
+    assert.equal(again.status, 409)
+  })
+
+  it('holds a risky cash-on-delivery order for review', async () => {
+    const res = await app.api('POST', '/api/checkout', {
+      token: ayesha.token,
+      body: { items: [{ id: 4, quantity: 1 }], full_name: 'test test', phone: '12345', address: 'Lahore' },
+    })
+    assert.equal(res.data.status, 'on_hold')
+    const queue = await app.api('GET', '/api/admin/risk-queue', { token: admin })
+    assert.ok(queue.data.orders.some(o => o.id === res.data.order_id))
+
+    const approved = await app.api('POST', `/api/admin/risk-queue/${res.data.order_id}/approve`, { token: admin, body: { note: 'Called, confirmed' } })
+    assert.equal(approved.status, 200, JSON.stringify(approved.data))
+    const decisions = await app.api('GET', `/api/admin/risk-decisions?order_id=${res.data.order_id}`, { token: admin })
+    assert.deepEqual(decisions.data.decisions.map(d => d.action).sort(), ['approve', 'hold'])
+  })
+
+  describe('analytics and exports', () => {
+    // Four orders in early March 2024, well outside the orders placed above:
+    // a first order, a cancelled one, another customer's first with a code, and a repeat order
+    const range = 'from=2024-03-04&to=2024-03-06'
+    before(() => app.sql(`
+      INSERT INTO orders (id, user_email, full_name, address, total_amount, status, created_at) VALUES
+        (9001, 'march.a@elv.test', '=HYPERLINK("x")', 'House 1, Lahore', 1000, 'delivered', '2024-03-04 10:00:00'),
+        (9002, 'march.a@elv.test', 'March A', 'House 1, Lahore', 300, 'cancelled', '2024-03-05 12:00:00'),
+        (9003, 'march.b@elv.test', 'March B', 'House 2, Karachi', 540, 'pending', '2024-03-05 15:00:00'),
+        (9004, 'march.a@elv.test', 'March A', 'House 1, Lahore', 400, 'delivered', '2024-03-06 09:00:00');
+      INSERT INTO order_items (order_id, product_id, quantity, price) VALUES
+        (9001, 1, 2, 500), (9002, 2, 1, 300), (9003, 2, 2, 300), (9004, 1, 1, 400);
+      INSERT INTO discount_redemptions (discount_id, user_id, order_id, amount)
+        SELECT id, (SELECT id FROM users WHERE email = '${bilal.email}'), 9003, 60 FROM discount_codes WHERE code = 'WELCOME10';
+    `))
+
+    it('adds up revenue, cancellations, customers and codes for the range', async () => {
+      const { status, data } = await app.api('GET', `/api/admin/analytics?${range}`, { token: admin })
+      assert.equal(status, 200, JSON.stringify(data))
+      assert.deepEqual(data.totals, { revenue: 1940, orders: 4, average_order_value: 647, cancellation_rate: 25, new_customers: 2, returning_customers: 1 })
+      assert.deepEqual(data.series.map(d => [d.bucket, d.orders, d.cancelled, d.revenue, d.new_customer_orders, d.returning_customer_orders]), [
+        ['2024-03-04', 1, 0, 1000, 1, 0],
+        ['2024-03-05', 2, 1, 540, 1, 0],
+        ['2024-03-06', 1, 0, 400, 0, 1],
+      ])
+      assert.deepEqual(data.top_products.by_revenue.map(p => [p.product_id, p.units, p.revenue]), [[1, 3, 1400], [2, 2, 600]])
+      assert.equal(data.discounts.orders_with_code, 1)
+      assert.equal(data.discounts.discount_given, 60)
+      assert.equal(data.discounts.share_of_gross, 3)
+
+      const weekly = await app.api('GET', `/api/admin/analytics?${range}&granularity=week`, { token: admin })
+      assert.deepEqual(weekly.data.series.map(w => [w.bucket, w.orders]), [['2024-03-04', 4]])
+      assert.equal((await app.api('GET', '/api/admin/analytics?from=2024-03-06&to=2024-03-04', { token: admin })).status, 400)
+    })
+
+    it('exports the range as CSV with formulas neutralised', async () => {
+      const res = await app.api('GET', `/api/admin/export/orders?${range}`, { token: admin })
+      assert.equal(res.status, 200)
+      assert.match(res.headers.get('Content-Disposition'), /orders-2024-03-04-to-2024-03-06\.csv/)
+      const [header, ...rows] = res.data.trimEnd().split('\r\n')
+      assert.match(header, /^id,created_at,status,user_email,full_name,/)
+      assert.deepEqual(rows.map(r => r.split(',')[0]), ['9001', '9002', '9003', '9004'])
+      assert.ok(rows[0].includes(`"'=HYPERLINK(""x"")",,"House 1, Lahore"`), rows[0])
+      assert.match(rows[2], /,WELCOME10,60,540,/)
+
+      const items = await app.api('GET', `/api/admin/export/order-items?${range}`, { token: admin })
+      assert.equal(items.data.trimEnd().split('\r\n').length, 5)
+    })
+  })
+})
+
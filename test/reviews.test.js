@@ -0,0 +1,80 @@
+import { after, before, describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { ADDRESS, BOOT_TIMEOUT, startWorker } from './helpers.js'
+
+describe('reviews', () => {
+  let app, admin, ayesha, bilal, order
+  const PRODUCT = 3
+  const review = (who, body) => app.api('POST', `/api/products/${PRODUCT}/reviews`, { token: who.token, body })
+  const status = (to, extra = {}) => app.api('PUT', `/api/admin/order/${order}/status`, { token: admin, body: { status: to, ...extra } })
+  const moderate = (id, action) => app.api('POST', `/api/admin/reviews/${id}/${action}`, { token: admin })
+
+  before(async () => {
+    app = await startWorker()
+    admin = await app.login()
+    ayesha = await app.customer('Ayesha')
+    bilal = await app.customer('Bilal')
+    const { data } = await app.api('POST', '/api/checkout', { token: ayesha.token, body: { items: [{ id: PRODUCT, quantity: 1 }], ...ADDRESS } })
+    order = data.order_id
+  }, { timeout: BOOT_TIMEOUT })
+  after(() => app?.stop())
+
+  it('only takes reviews from customers whose order was delivered', async () => {
+    assert.equal((await review(ayesha, { rating: 5 })).status, 403)
+    assert.equal((await review(bilal, { rating: 1 })).status, 403)
+
+    await status('confirmed')
+    await status('shipped', { courier: 'TCS', tracking_number: 'TCS987' })
+    await status('delivered')
+    const before = await app.api('GET', `/api/products/${PRODUCT}/reviews`, { token: ayesha.token })
+    assert.equal(before.data.can_review, true)
+    assert.equal((await review(ayesha, { rating: 6 })).status, 400)
+    assert.equal((await review(ayesha, { rating: 4, sillage: 2.5 })).status, 400)
+
+    const res = await review(ayesha, { rating: 4, longevity: 5, sillage: 3, value: 4, title: 'Lasts all day', body: 'Still there the next morning.' })
+    assert.equal(res.status, 201, JSON.stringify(res.data))
+    assert.equal(res.data.status, 'pending')
+    assert.equal((await review(ayesha, { rating: 1 })).status, 409)
+  })
+
+  it('publishes a review and counts it in the rating only once approved', async () => {
+    const [{ id }] = app.sql(`SELECT id FROM reviews WHERE product_id = ${PRODUCT}`)
+    const pending = await app.api('GET', `/api/products/${PRODUCT}/reviews`, { token: ayesha.token })
+    assert.deepEqual(pending.data.reviews, [])
+    assert.equal(pending.data.mine.status, 'pending')
+    assert.equal(pending.data.can_review, false)
+
+    const queue = await app.api('GET', '/api/admin/reviews?status=pending', { token: admin })
+    assert.deepEqual(queue.data.reviews.map(r => r.id), [id])
+    assert.equal(queue.data.counts.pending, 1)
+    assert.equal((await moderate(id, 'approve')).status, 200)
+
+    const { data } = await app.api('GET', `/api/products/${PRODUCT}/reviews`)
+    assert.equal(data.reviews[0].author, 'Ayesha')
+    assert.equal(data.reviews[0].verified_purchase, true)
+    assert.equal(data.summary.count, 1)
+    assert.equal(data.summary.longevity, 5)
+    assert.equal(data.summary.distribution[4], 1)
+    const product = (await app.api('GET', `/api/products/${PRODUCT}`)).data.product
+    assert.equal(product.rating_avg, 4)
+    assert.equal(product.rating_count, 1)
+    const listed = (await app.api('GET', '/api/products?limit=100')).data.products.find(p => p.id === PRODUCT)
+    assert.equal(listed.rating_count, 1)
+
+    assert.equal((await moderate(id, 'hide')).status, 200)
+    const hidden = (await app.api('GET', `/api/products/${PRODUCT}`)).data.product
+    assert.equal(hidden.rating_avg, null)
+    assert.equal(hidden.rating_count, 0)
+  })
+
+  it('shows the store\'s reply under the review', async () => {
+    const [{ id }] = app.sql(`SELECT id FROM reviews WHERE product_id = ${PRODUCT}`)
+    assert.equal((await app.api('PUT', `/api/admin/reviews/${id}/reply`, { token: ayesha.token, body: { reply: 'Thanks!' } })).status, 403)
+    const replied = await app.api('PUT', `/api/admin/reviews/${id}/reply`, { token: admin, body: { reply: 'So glad it stayed with you, Ayesha.' } })
+    assert.equal(replied.status, 200, JSON.stringify(replied.data))
+    await moderate(id, 'approve')
+    const { data } = await app.api('GET', `/api/products/${PRODUCT}/reviews`)
+    assert.equal(data.reviews[0].reply, 'So glad it stayed with you, Ayesha.')
+    assert.ok(data.reviews[0].replied_at)
+  })
+})